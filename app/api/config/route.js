@@ -0,0 +1,18 @@
+// app/api/config/route.js
+// Runtime API settings for the browser (see lib/runtimeConfig.js).
+
+import { NextResponse } from "next/server";
+import { readRuntimeConfig } from "@/lib/runtimeConfig";
+
+// Evaluate per request so env changes apply without a rebuild
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/config
+ */
+export async function GET() {
+  return NextResponse.json(
+    { error: false, payload: readRuntimeConfig() },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
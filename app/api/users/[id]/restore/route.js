@@ -0,0 +1,36 @@
+// app/api/users/[id]/restore/route.js
+// Restore a soft-deleted user from the trash.
+
+import { findDeletedUser, findConflict, restoreUser } from "@/lib/mockStore";
+import {
+  isMockApiEnabled,
+  respond,
+  conflictResponse,
+  invalidIdResponse,
+} from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * POST /api/users/:id/restore
+ */
+export async function POST(request, { params }) {
+  const { id } = await params;
+  const invalidId = invalidIdResponse(id);
+  if (invalidId) return invalidId;
+
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(
+      request,
+      `/api/users/${encodeURIComponent(id)}/restore`
+    );
+  }
+
+  const deletedUser = await findDeletedUser(id);
+  if (!deletedUser) return respond(404, "User not found in trash");
+
+  // Someone may have reused the email or mobile number in the meantime
+  const conflict = await findConflict(deletedUser, id);
+  if (conflict) return conflictResponse(conflict);
+
+  return respond(200, await restoreUser(id));
+}
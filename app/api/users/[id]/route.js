@@ -0,0 +1,72 @@
+// app/api/users/[id]/route.js
+// Single user endpoint: proxied to the backend, or served by the mock API.
+
+import { findUser, findConflict, patchUser, removeUser } from "@/lib/mockStore";
+import {
+  isMockApiEnabled,
+  respond,
+  readJsonBody,
+  validationResponse,
+  conflictResponse,
+  invalidIdResponse,
+} from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * GET /api/users/:id
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const invalidId = invalidIdResponse(id);
+  if (invalidId) return invalidId;
+
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, `/api/users/${encodeURIComponent(id)}`);
+  }
+
+  const user = await findUser(id);
+  return user ? respond(200, user) : respond(404, "User not found");
+}
+
+/**
+ * PUT /api/users/:id - partial update
+ */
+export async function PUT(request, { params }) {
+  const { id } = await params;
+  const invalidId = invalidIdResponse(id);
+  if (invalidId) return invalidId;
+
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, `/api/users/${encodeURIComponent(id)}`);
+  }
+
+  if (!(await findUser(id))) return respond(404, "User not found");
+
+  const data = await readJsonBody(request);
+  if (!data) return respond(400, "Request body must be a JSON object");
+
+  const invalid = validationResponse(data, true);
+  if (invalid) return invalid;
+
+  const conflict = await findConflict(data, id);
+  if (conflict) return conflictResponse(conflict);
+
+  return respond(200, await patchUser(id, data));
+}
+
+/**
+ * DELETE /api/users/:id - move to the trash (restorable)
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const invalidId = invalidIdResponse(id);
+  if (invalidId) return invalidId;
+
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, `/api/users/${encodeURIComponent(id)}`);
+  }
+
+  if (!(await removeUser(id))) return respond(404, "User not found");
+
+  return respond(200, { message: "User deleted successfully" });
+}
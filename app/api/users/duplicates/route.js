@@ -0,0 +1,30 @@
+// app/api/users/duplicates/route.js
+// Duplicate check for imports: proxied to the backend, or served by the mock API.
+
+import { findExistingContacts } from "@/lib/mockStore";
+import { isMockApiEnabled, respond, readJsonBody } from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+const toStringList = (value) =>
+  Array.isArray(value) ? value.filter((item) => typeof item === "string") : [];
+
+/**
+ * POST /api/users/duplicates - which of the given emails and mobile
+ * numbers already belong to users
+ */
+export async function POST(request) {
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, "/api/users/duplicates");
+  }
+
+  const data = await readJsonBody(request);
+  if (!data) return respond(400, "Request body must be a JSON object");
+
+  return respond(
+    200,
+    await findExistingContacts({
+      emails: toStringList(data.emails),
+      mobileNumbers: toStringList(data.mobileNumbers),
+    })
+  );
+}
@@ -0,0 +1,18 @@
+// app/api/users/facets/route.js
+// Facet counts for the users list: proxied to the backend, or served by the mock API.
+
+import { countUserFacets } from "@/lib/mockStore";
+import { isMockApiEnabled, respond } from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * GET /api/users/facets - user counts per country for the list filters
+ */
+export async function GET(request) {
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, "/api/users/facets");
+  }
+
+  const query = Object.fromEntries(request.nextUrl.searchParams);
+  return respond(200, await countUserFacets(query));
+}
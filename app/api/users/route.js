@@ -0,0 +1,61 @@
+// app/api/users/route.js
+// Users collection endpoint: proxied to the backend, or served by the mock API.
+
+import {
+  listUsers,
+  findConflict,
+  insertUser,
+  findUserByIdempotencyKey,
+} from "@/lib/mockStore";
+import {
+  isMockApiEnabled,
+  respond,
+  readJsonBody,
+  validationResponse,
+  conflictResponse,
+} from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * GET /api/users - filtered, sorted and paginated list
+ */
+export async function GET(request) {
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, "/api/users");
+  }
+
+  const { searchParams } = request.nextUrl;
+  const query = {
+    ...Object.fromEntries(searchParams),
+    // Repeated param; fromEntries would keep only the last value
+    countries: searchParams.getAll("countries"),
+  };
+  return respond(200, await listUsers(query));
+}
+
+/**
+ * POST /api/users - create a user. A repeated Idempotency-Key gets the
+ * user created the first time instead of a duplicate or a 409.
+ */
+export async function POST(request) {
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, "/api/users");
+  }
+
+  const idempotencyKey = request.headers.get("idempotency-key");
+  if (idempotencyKey) {
+    const created = await findUserByIdempotencyKey(idempotencyKey);
+    if (created) return respond(201, created);
+  }
+
+  const data = await readJsonBody(request);
+  if (!data) return respond(400, "Request body must be a JSON object");
+
+  const invalid = validationResponse(data);
+  if (invalid) return invalid;
+
+  const conflict = await findConflict(data);
+  if (conflict) return conflictResponse(conflict);
+
+  return respond(201, await insertUser(data, { idempotencyKey }));
+}
@@ -0,0 +1,26 @@
+// app/api/users/trash/[id]/route.js
+// Permanent deletion from the trash.
+
+import { purgeUser } from "@/lib/mockStore";
+import { isMockApiEnabled, respond, invalidIdResponse } from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * DELETE /api/users/trash/:id - purge a deleted user for good
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const invalidId = invalidIdResponse(id);
+  if (invalidId) return invalidId;
+
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(
+      request,
+      `/api/users/trash/${encodeURIComponent(id)}`
+    );
+  }
+
+  if (!(await purgeUser(id))) return respond(404, "User not found in trash");
+
+  return respond(200, { message: "User permanently deleted" });
+}
@@ -0,0 +1,18 @@
+// app/api/users/trash/route.js
+// Soft-deleted users: proxied to the backend, or served by the mock API.
+
+import { listDeletedUsers } from "@/lib/mockStore";
+import { isMockApiEnabled, respond } from "@/lib/mockApi";
+import { proxyToBackend } from "@/lib/backendProxy";
+
+/**
+ * GET /api/users/trash - paginated list of deleted users
+ */
+export async function GET(request) {
+  if (!isMockApiEnabled()) {
+    return proxyToBackend(request, "/api/users/trash");
+  }
+
+  const query = Object.fromEntries(request.nextUrl.searchParams);
+  return respond(200, await listDeletedUsers(query));
+}
@@ -206,8 +206,8 @@ export default function TestApiPage() {
         </p>
         <div className="mt-4 p-4 bg-muted rounded-lg">
           <p className="text-sm">
-            <strong>Backend URL:</strong>{" "}
-            {process.env.NEXT_PUBLIC_API_URL || "http://localhost:3000"}
+            <strong>Backend URL:</strong> /api/users (proxied by this app to
+            BACKEND_API_URL, or served by the mock API)
           </p>
           <p className="text-sm mt-1">
             Make sure your backend server is running before testing!
@@ -20,7 +20,9 @@ import {
 } from "lucide-react";
 import { format } from "date-fns";
 import UserForm from "@/components/UserForm";
-import { getUserById } from "@/lib/api";
+import { getUserById, peekUser } from "@/lib/api";
+import { NotFoundError } from "@/lib/errors";
+import { formatCalendarDate } from "@/lib/dates";
 import { toast } from "sonner";
 
 export default function EditUserPage() {
@@ -28,43 +30,66 @@ export default function EditUserPage() {
   const params = useParams();
   const userId = params.id;
 
-  // State management
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  // State management - start from the cached record when we have one
+  const [user, setUser] = useState(() => peekUser(parseInt(userId)));
+  const [loading, setLoading] = useState(!user);
   const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
 
   // Fetch user data
   const fetchUser = async () => {
-    setLoading(true);
+    const cached = peekUser(parseInt(userId));
+
+    // Revalidate cached data in the background instead of showing skeletons
+    if (cached) {
+      setUser(cached);
+    } else {
+      setLoading(true);
+    }
     setError(null);
+    setNotFound(false);
 
     try {
       console.log("Fetching user with ID:", userId);
       const userData = await getUserById(parseInt(userId));
       console.log("User data fetched:", userData);
-      setUser(userData);
+
+      // Avoid resetting the form when the cached copy was still current
+      if (JSON.stringify(userData) !== JSON.stringify(cached)) {
+        setUser(userData);
+      }
     } catch (err) {
       console.error("Error fetching user:", err);
-      setError(err.message || "Failed to fetch user data");
 
-      // Error toast
-      toast.error("Failed to load user", {
-        description: err.message || "Unable to fetch user data",
-        action: {
-          label: "Try again",
-          onClick: () => fetchUser(),
-        },
-      });
+      if (!(err instanceof NotFoundError) && cached) {
+        toast.error("Could not refresh user", {
+          description: err.message || "Showing previously loaded data",
+        });
+        return;
+      }
+
+      setError(err.message || "Failed to fetch user data");
 
       // If user not found, redirect to users list after showing error
-      if (err.message.includes("not found") || err.message.includes("404")) {
+      if (err instanceof NotFoundError) {
+        setNotFound(true);
         toast.error("User not found", {
           description: "Redirecting to users list...",
         });
         setTimeout(() => {
           router.push("/users");
         }, 3000);
+        return;
       }
+
+      // Error toast
+      toast.error("Failed to load user", {
+        description: err.message || "Unable to fetch user data",
+        action: {
+          label: "Try again",
+          onClick: () => fetchUser(),
+        },
+      });
     } finally {
       setLoading(false);
     }
@@ -206,7 +231,7 @@ export default function EditUserPage() {
               </Button>
             </div>
 
-            {error.includes("not found") && (
+            {notFound && (
               <p className="text-xs text-muted-foreground mt-4">
                 Redirecting to users list in a few seconds...
               </p>
@@ -269,7 +294,7 @@ export default function EditUserPage() {
               </div>
               <div className="flex items-center gap-2">
                 <CalendarIcon className="h-4 w-4 text-muted-foreground" />
-                <span>Born: {formatDate(user?.birthday)}</span>
+                <span>Born: {formatCalendarDate(user?.birthday, "PPP")}</span>
               </div>
               <div className="text-muted-foreground">
                 Created: {formatDate(user?.createdAt)}
@@ -0,0 +1,423 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter, useParams } from "next/navigation";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  ArrowLeftIcon,
+  UserIcon,
+  EditIcon,
+  TrashIcon,
+  CopyIcon,
+  DownloadIcon,
+  AlertCircleIcon,
+  RefreshCwIcon,
+  CalendarIcon,
+  MailIcon,
+  PhoneIcon,
+  MapPinIcon,
+  InfoIcon,
+  ClockIcon,
+} from "lucide-react";
+import { format } from "date-fns";
+import { deleteUser, getUserById, peekUser, restoreUser } from "@/lib/api";
+import { NotFoundError } from "@/lib/errors";
+import { calculateAge, formatCalendarDate } from "@/lib/dates";
+import { EXPORT_FORMATS, createExportBlob, downloadBlob } from "@/lib/export";
+import { toast } from "sonner";
+
+// Plain-text summary used by the Copy action
+const formatUserAsText = (user) =>
+  [
+    `Name: ${user.name}`,
+    `Email: ${user.email}`,
+    `Mobile: ${user.mobileNumber}`,
+    `Country: ${user.country}`,
+    `Birthday: ${formatCalendarDate(user.birthday, "yyyy-MM-dd")}`,
+    `About: ${user.aboutYou}`,
+  ].join("\n");
+
+export default function UserDetailPage() {
+  const router = useRouter();
+  const params = useParams();
+  const userId = params.id;
+
+  // State management - start from the cached record when we have one
+  const [user, setUser] = useState(() => peekUser(parseInt(userId)));
+  const [loading, setLoading] = useState(!user);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // Fetch user data
+  const fetchUser = useCallback(async () => {
+    const cached = peekUser(parseInt(userId));
+
+    // Revalidate cached data in the background instead of showing skeletons
+    if (cached) {
+      setUser(cached);
+    } else {
+      setLoading(true);
+    }
+    setError(null);
+    setNotFound(false);
+
+    try {
+      const userData = await getUserById(parseInt(userId));
+      setUser(userData);
+    } catch (err) {
+      console.error("Error fetching user:", err);
+
+      if (!(err instanceof NotFoundError) && cached) {
+        toast.error("Could not refresh user", {
+          description: err.message || "Showing previously loaded data",
+        });
+        return;
+      }
+
+      setError(err.message || "Failed to fetch user data");
+      setNotFound(err instanceof NotFoundError);
+
+      toast.error(
+        err instanceof NotFoundError ? "User not found" : "Failed to load user",
+        {
+          description: err.message || "Unable to fetch user data",
+        }
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  // Initial data fetch
+  useEffect(() => {
+    if (userId) {
+      fetchUser();
+    }
+  }, [userId, fetchUser]);
+
+  // Move the user to the trash and go back to the list
+  const confirmDelete = async () => {
+    setDeleting(true);
+
+    try {
+      await deleteUser(user.id);
+      setDeleteDialogOpen(false);
+
+      toast.success("User moved to trash", {
+        description: `${user.name} can be restored from Trash`,
+        action: {
+          label: "Undo",
+          onClick: async () => {
+            try {
+              await restoreUser(user.id);
+              toast.success("User restored", {
+                description: `${user.name} has been restored`,
+              });
+              router.push(`/users/${user.id}`);
+            } catch (err) {
+              toast.error("Failed to restore user", {
+                description: err.message || "An unexpected error occurred",
+              });
+            }
+          },
+        },
+      });
+      router.push("/users");
+    } catch (err) {
+      console.error("Error deleting user:", err);
+      toast.error("Failed to delete user", {
+        description: err.message || "An unexpected error occurred",
+      });
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatUserAsText(user));
+      toast.success("User details copied to clipboard");
+    } catch (err) {
+      toast.error("Could not copy to clipboard", {
+        description: err.message || "Clipboard access was denied",
+      });
+    }
+  };
+
+  const handleExport = async (exportFormat) => {
+    setExportOpen(false);
+
+    try {
+      const blob = await createExportBlob([user], exportFormat);
+      downloadBlob(
+        blob,
+        `user-${user.id}.${EXPORT_FORMATS[exportFormat].extension}`
+      );
+    } catch (err) {
+      console.error("Error exporting user:", err);
+      toast.error("Export failed", {
+        description: err.message || "An unexpected error occurred",
+      });
+    }
+  };
+
+  // Format timestamp for display
+  const formatDateTime = (dateString) => {
+    if (!dateString) return "N/A";
+    try {
+      return format(new Date(dateString), "PPP p");
+    } catch (error) {
+      return "Invalid date";
+    }
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="container mx-auto p-6 max-w-3xl">
+        <div className="flex items-center gap-4 mb-6">
+          <Skeleton className="h-10 w-10" />
+          <div>
+            <Skeleton className="h-8 w-64 mb-2" />
+            <Skeleton className="h-4 w-48" />
+          </div>
+        </div>
+        <Card>
+          <CardContent className="space-y-4 pt-6">
+            {Array.from({ length: 7 }).map((_, index) => (
+              <Skeleton key={index} className="h-5 w-full" />
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="container mx-auto p-6 max-w-3xl">
+        <Card className="border-destructive">
+          <CardHeader>
+            <CardTitle className="text-destructive flex items-center gap-2">
+              <AlertCircleIcon className="h-5 w-5" />
+              {notFound ? "User Not Found" : "Error Loading User"}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-destructive mb-4">{error}</p>
+
+            <div className="flex gap-3">
+              {!notFound && (
+                <Button onClick={fetchUser} variant="outline">
+                  <RefreshCwIcon className="h-4 w-4 mr-2" />
+                  Try Again
+                </Button>
+              )}
+              <Button onClick={() => router.push("/users")} variant="ghost">
+                <ArrowLeftIcon className="h-4 w-4 mr-2" />
+                Back to Users
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const age = calculateAge(user?.birthday);
+
+  return (
+    <div className="container mx-auto p-6 max-w-3xl">
+      {/* Page Header */}
+      <div className="mb-6">
+        <div className="flex items-center gap-4 mb-4">
+          <Button variant="ghost" asChild className="p-2">
+            <Link href="/users">
+              <ArrowLeftIcon className="h-4 w-4" />
+            </Link>
+          </Button>
+          <div className="flex-1 min-w-0">
+            <h1 className="text-3xl font-bold flex items-center gap-2">
+              <UserIcon className="h-8 w-8 shrink-0" />
+              <span className="truncate">{user?.name}</span>
+            </h1>
+            <p className="text-muted-foreground mt-1">User profile</p>
+          </div>
+          <Badge variant="outline">ID: {user?.id}</Badge>
+        </div>
+
+        {/* Breadcrumb */}
+        <nav className="flex items-center space-x-2 text-sm text-muted-foreground">
+          <Link
+            href="/users"
+            className="hover:text-foreground transition-colors"
+          >
+            Users
+          </Link>
+          <span>&gt;</span>
+          <span className="text-foreground">{user?.name}</span>
+        </nav>
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        <Button asChild>
+          <Link href={`/users/${user.id}/edit`}>
+            <EditIcon className="h-4 w-4 mr-2" />
+            Edit
+          </Link>
+        </Button>
+        <Button variant="outline" onClick={handleCopy}>
+          <CopyIcon className="h-4 w-4 mr-2" />
+          Copy
+        </Button>
+        <Popover open={exportOpen} onOpenChange={setExportOpen}>
+          <PopoverTrigger asChild>
+            <Button variant="outline">
+              <DownloadIcon className="h-4 w-4 mr-2" />
+              Export
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-48 p-1" align="start">
+            {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+              <Button
+                key={value}
+                variant="ghost"
+                className="w-full justify-start"
+                onClick={() => handleExport(value)}
+              >
+                {label}
+              </Button>
+            ))}
+          </PopoverContent>
+        </Popover>
+        <Button
+          variant="destructive"
+          onClick={() => setDeleteDialogOpen(true)}
+          className="sm:ml-auto"
+        >
+          <TrashIcon className="h-4 w-4 mr-2" />
+          Delete
+        </Button>
+      </div>
+
+      {/* Details */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg">Details</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <dl className="grid grid-cols-1 sm:grid-cols-[10rem_1fr] gap-x-4 gap-y-4 text-sm">
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <MailIcon className="h-4 w-4" />
+              Email
+            </dt>
+            <dd className="break-all">
+              <a href={`mailto:${user.email}`} className="hover:underline">
+                {user.email}
+              </a>
+            </dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <PhoneIcon className="h-4 w-4" />
+              Mobile
+            </dt>
+            <dd>
+              <a href={`tel:${user.mobileNumber}`} className="hover:underline">
+                {user.mobileNumber}
+              </a>
+            </dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <MapPinIcon className="h-4 w-4" />
+              Country
+            </dt>
+            <dd>{user.country}</dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <CalendarIcon className="h-4 w-4" />
+              Birthday
+            </dt>
+            <dd>
+              {formatCalendarDate(user.birthday, "PPP")}
+              {age !== null && (
+                <span className="text-muted-foreground">
+                  {" "}
+                  ({age} years old)
+                </span>
+              )}
+            </dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <InfoIcon className="h-4 w-4" />
+              About
+            </dt>
+            <dd className="whitespace-pre-line">{user.aboutYou || "N/A"}</dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <ClockIcon className="h-4 w-4" />
+              Created
+            </dt>
+            <dd>{formatDateTime(user.createdAt)}</dd>
+
+            <dt className="flex items-center gap-2 text-muted-foreground">
+              <ClockIcon className="h-4 w-4" />
+              Last updated
+            </dt>
+            <dd>{formatDateTime(user.updatedAt || user.createdAt)}</dd>
+          </dl>
+        </CardContent>
+      </Card>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Delete User</DialogTitle>
+            <DialogDescription>
+              Are you sure you want to delete {user.name}? They will be moved to
+              the trash, where they can be restored.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button
+              variant="outline"
+              onClick={() => setDeleteDialogOpen(false)}
+              disabled={deleting}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={confirmDelete}
+              disabled={deleting}
+            >
+              {deleting ? "Deleting..." : "Delete User"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,531 @@
+"use client";
+
+import { useState, useRef } from "react";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  ArrowLeftIcon,
+  DownloadIcon,
+  FileUpIcon,
+  Loader2Icon,
+  UploadIcon,
+} from "lucide-react";
+import BulkProgress from "@/components/BulkProgress";
+import { useBulkRun } from "@/hooks/useBulkRun";
+import { createUser, findDuplicateContacts } from "@/lib/api";
+import { createCsvBlob, parseCsv } from "@/lib/csv";
+import { downloadBlob } from "@/lib/export";
+import {
+  getImportContacts,
+  guessColumnMapping,
+  validateImportRows,
+  buildImportErrorReport,
+} from "@/lib/import";
+import { USER_FIELDS, userSchema } from "@/lib/validations";
+import { toast } from "sonner";
+
+// Keep the browser responsive; larger files should be split
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows rendered in the preview table
+const PREVIEW_LIMIT = 200;
+
+// Users created in parallel
+const IMPORT_CONCURRENCY = 4;
+
+const NOT_MAPPED = "none";
+
+const STEPS = ["Upload", "Map columns", "Review", "Import"];
+
+const getRowKey = (row) => row.rowNumber;
+
+// Errors for a row that the API rejected
+const getCreateErrors = (error) =>
+  error.hasFieldErrors?.()
+    ? error.fieldErrors
+    : { row: error.message || "An unexpected error occurred" };
+
+export default function ImportUsersPage() {
+  // "upload" -> "map" -> "preview", then the run's "running" -> "done"
+  const [step, setStep] = useState("upload");
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [validating, setValidating] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const fileInputRef = useRef(null);
+  const run = useBulkRun({ getKey: getRowKey });
+  const phase = run.state === "idle" ? step : run.state;
+  // Distinguishes retries of this import from a later one with the same file
+  const importIdRef = useRef(null);
+
+  const validRows = rows.filter((row) => Object.keys(row.errors).length === 0);
+  // Rows the server rejected, and rows never sent because of Stop
+  const createFailures = [
+    ...run.failures.map(({ item, error }) => ({
+      ...item,
+      errors: getCreateErrors(error),
+    })),
+    ...run.skipped.map((row) => ({
+      ...row,
+      errors: { row: "Not imported (stopped)" },
+    })),
+  ];
+  const invalidRows = rows.filter((row) => Object.keys(row.errors).length > 0);
+  const unmappedRequired = USER_FIELDS.filter(
+    (field) => userSchema[field].required && mapping[field] === null
+  );
+
+  const reset = () => {
+    setStep("upload");
+    setFileName("");
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+    setRows([]);
+    run.reset();
+    importIdRef.current = null;
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  // Read the CSV and guess which column holds which field
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const parsed = parseCsv(await file.text());
+
+      if (parsed.length < 2) {
+        toast.error("Nothing to import", {
+          description: "The file needs a header row and at least one user",
+        });
+        return;
+      }
+      if (parsed.length - 1 > MAX_IMPORT_ROWS) {
+        toast.error("File is too large", {
+          description: `Import at most ${MAX_IMPORT_ROWS.toLocaleString()} users at a time`,
+        });
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(parsed[0].map((header) => header.trim()));
+      setDataRows(parsed.slice(1));
+      setMapping(guessColumnMapping(parsed[0]));
+      setStep("map");
+    } catch (error) {
+      console.error("Error reading CSV file:", error);
+      toast.error("Could not read the file", {
+        description: error.message || "Make sure it is a valid CSV file",
+      });
+    }
+  };
+
+  // Validate all rows, including duplicates against existing users. Only
+  // the file's emails and mobile numbers are looked up; the server still
+  // rejects a duplicate created in the meantime.
+  const handleValidate = async () => {
+    setValidating(true);
+
+    let existing = {};
+    try {
+      existing = await findDuplicateContacts(
+        getImportContacts(dataRows, mapping)
+      );
+    } catch (error) {
+      toast.warning("Could not check existing users", {
+        description:
+          "Duplicates within the file are still detected; the server rejects the rest",
+      });
+    }
+
+    setRows(validateImportRows(dataRows, mapping, existing));
+    setShowErrorsOnly(false);
+    setValidating(false);
+    setStep("preview");
+  };
+
+  const runImport = async (items) => {
+    importIdRef.current = importIdRef.current || Date.now().toString(36);
+
+    const { succeeded } = await run.start(
+      items,
+      (row) =>
+        createUser(row.data, {
+          // Safe to retry without creating the same user twice
+          idempotencyKey: `import-${importIdRef.current}-${row.rowNumber}`,
+        }),
+      { concurrency: IMPORT_CONCURRENCY }
+    );
+
+    if (succeeded.length > 0) {
+      toast.success(
+        `${succeeded.length} ${succeeded.length === 1 ? "user" : "users"} imported`
+      );
+    }
+  };
+
+  const downloadErrorReport = () => {
+    const report = buildImportErrorReport(headers, [
+      ...invalidRows,
+      ...createFailures,
+    ]);
+    const baseName = fileName.replace(/\.csv$/i, "") || "users";
+
+    downloadBlob(createCsvBlob(report), `${baseName}-import-errors.csv`);
+  };
+
+  const previewRows = (showErrorsOnly ? invalidRows : rows).slice(
+    0,
+    PREVIEW_LIMIT
+  );
+  const currentStepIndex = {
+    upload: 0,
+    map: 1,
+    preview: 2,
+    running: 3,
+    done: 3,
+  }[phase];
+
+  return (
+    <div className="container mx-auto p-6 max-w-5xl space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center gap-4">
+        <Button variant="ghost" asChild className="p-2">
+          <Link href="/users">
+            <ArrowLeftIcon className="h-4 w-4" />
+          </Link>
+        </Button>
+        <div>
+          <h1 className="text-3xl font-bold flex items-center gap-2">
+            <FileUpIcon className="h-8 w-8" />
+            Import Users
+          </h1>
+          <p className="text-muted-foreground mt-1">
+            Create many users at once from a CSV file
+          </p>
+        </div>
+      </div>
+
+      {/* Steps */}
+      <div className="flex flex-wrap gap-2">
+        {STEPS.map((label, index) => (
+          <Badge
+            key={label}
+            variant={index === currentStepIndex ? "default" : "outline"}
+          >
+            {index + 1}. {label}
+          </Badge>
+        ))}
+      </div>
+
+      {/* Step 1: Upload */}
+      {phase === "upload" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Choose a CSV file</CardTitle>
+            <CardDescription>
+              The first row must contain column headers. Each user needs{" "}
+              {USER_FIELDS.map((field) => userSchema[field].label).join(", ")};
+              birthdays use the YYYY-MM-DD format.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              className="hidden"
+            />
+            <Button onClick={() => fileInputRef.current?.click()}>
+              <UploadIcon className="h-4 w-4 mr-2" />
+              Select CSV File
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Step 2: Map columns */}
+      {phase === "map" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Map columns</CardTitle>
+            <CardDescription>
+              {fileName}: {dataRows.length.toLocaleString()}{" "}
+              {dataRows.length === 1 ? "row" : "rows"}. Choose the column that
+              holds each field.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {USER_FIELDS.map((field) => {
+              const index = mapping[field];
+              const sample =
+                index === null ? "" : dataRows[0]?.[index]?.trim() || "";
+
+              return (
+                <div
+                  key={field}
+                  className="grid gap-2 sm:grid-cols-[10rem_16rem_1fr] sm:items-center"
+                >
+                  <label className="text-sm font-medium">
+                    {userSchema[field].label}
+                    {userSchema[field].required && " *"}
+                  </label>
+                  <Select
+                    value={index === null ? NOT_MAPPED : String(index)}
+                    onValueChange={(value) =>
+                      setMapping((prev) => ({
+                        ...prev,
+                        [field]: value === NOT_MAPPED ? null : Number(value),
+                      }))
+                    }
+                  >
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                      {headers.map((header, headerIndex) => (
+                        <SelectItem
+                          key={headerIndex}
+                          value={String(headerIndex)}
+                        >
+                          {header || `Column ${headerIndex + 1}`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <span className="text-sm text-muted-foreground truncate">
+                    {sample && `e.g. ${sample}`}
+                  </span>
+                </div>
+              );
+            })}
+
+            {unmappedRequired.length > 0 && (
+              <p className="text-sm text-red-600">
+                Map a column for:{" "}
+                {unmappedRequired
+                  .map((field) => userSchema[field].label)
+                  .join(", ")}
+              </p>
+            )}
+
+            <div className="flex gap-3 pt-4 border-t">
+              <Button variant="outline" onClick={reset}>
+                Choose Another File
+              </Button>
+              <Button
+                onClick={handleValidate}
+                disabled={validating || unmappedRequired.length > 0}
+              >
+                {validating && (
+                  <Loader2Icon className="h-4 w-4 mr-2 animate-spin" />
+                )}
+                {validating ? "Validating..." : "Validate Rows"}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Step 3: Review */}
+      {phase === "preview" && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Review</CardTitle>
+            <CardDescription>
+              Nothing has been created yet. Rows with errors are skipped.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant="outline">{rows.length} rows</Badge>
+              <Badge variant="secondary">{validRows.length} ready</Badge>
+              {invalidRows.length > 0 && (
+                <Badge variant="destructive">
+                  {invalidRows.length} with errors
+                </Badge>
+              )}
+              {invalidRows.length > 0 && (
+                <label className="ml-auto flex items-center gap-2 text-sm">
+                  <Checkbox
+                    checked={showErrorsOnly}
+                    onCheckedChange={setShowErrorsOnly}
+                  />
+                  Show only rows with errors
+                </label>
+              )}
+            </div>
+
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-16">Row</TableHead>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Email</TableHead>
+                    <TableHead className="hidden md:table-cell">
+                      Mobile
+                    </TableHead>
+                    <TableHead className="hidden md:table-cell">
+                      Country
+                    </TableHead>
+                    <TableHead className="hidden md:table-cell">
+                      Birthday
+                    </TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {previewRows.map(({ rowNumber, data, errors }) => {
+                    const messages = Object.entries(errors);
+
+                    return (
+                      <TableRow key={rowNumber}>
+                        <TableCell className="text-muted-foreground">
+                          {rowNumber}
+                        </TableCell>
+                        <TableCell>{data.name}</TableCell>
+                        <TableCell>{data.email}</TableCell>
+                        <TableCell className="hidden md:table-cell">
+                          {data.mobileNumber}
+                        </TableCell>
+                        <TableCell className="hidden md:table-cell">
+                          {data.country}
+                        </TableCell>
+                        <TableCell className="hidden md:table-cell">
+                          {data.birthday}
+                        </TableCell>
+                        <TableCell className="whitespace-normal">
+                          {messages.length === 0 ? (
+                            <Badge variant="secondary">Ready</Badge>
+                          ) : (
+                            <ul className="space-y-0.5 text-xs text-red-600">
+                              {messages.map(([field, message]) => (
+                                <li key={field}>{message}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+
+            {(showErrorsOnly ? invalidRows : rows).length > PREVIEW_LIMIT && (
+              <p className="text-sm text-muted-foreground">
+                Showing the first {PREVIEW_LIMIT} rows.
+              </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3 pt-4 border-t">
+              <Button variant="outline" onClick={() => setStep("map")}>
+                Back
+              </Button>
+              {invalidRows.length > 0 && (
+                <Button variant="outline" onClick={downloadErrorReport}>
+                  <DownloadIcon className="h-4 w-4 mr-2" />
+                  Download Error Report
+                </Button>
+              )}
+              <Button
+                onClick={() => runImport(validRows)}
+                disabled={validRows.length === 0}
+              >
+                <UploadIcon className="h-4 w-4 mr-2" />
+                Import {validRows.length}{" "}
+                {validRows.length === 1 ? "User" : "Users"}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Step 4: Import */}
+      {(phase === "running" || phase === "done") && (
+        <Card>
+          <CardHeader>
+            <CardTitle>
+              {phase === "running" ? "Importing..." : "Import Finished"}
+            </CardTitle>
+            <CardDescription>
+              {phase === "running"
+                ? "Please keep this page open until all users are processed."
+                : `${run.succeededCount} created, ${createFailures.length} failed, ${invalidRows.length} skipped because of errors.`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <BulkProgress
+              items={run.runItems}
+              statuses={run.statuses}
+              getKey={getRowKey}
+              getLabel={(row) => `Row ${row.rowNumber}: ${row.data.name}`}
+            />
+
+            <div className="flex flex-col sm:flex-row gap-3 pt-4 border-t">
+              {phase === "running" ? (
+                <Button variant="outline" onClick={run.stop}>
+                  Stop
+                </Button>
+              ) : (
+                <>
+                  {(invalidRows.length > 0 || createFailures.length > 0) && (
+                    <Button variant="outline" onClick={downloadErrorReport}>
+                      <DownloadIcon className="h-4 w-4 mr-2" />
+                      Download Error Report
+                    </Button>
+                  )}
+                  {run.retryItems.length > 0 && (
+                    <Button
+                      variant="outline"
+                      onClick={() => runImport(run.retryItems)}
+                    >
+                      Retry {run.retryItems.length} Failed
+                    </Button>
+                  )}
+                  <Button variant="outline" onClick={reset}>
+                    Import Another File
+                  </Button>
+                  <Button asChild>
+                    <Link href="/users">Go to Users</Link>
+                  </Button>
+                </>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -1,58 +1,125 @@
 "use client";
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { useRouter, useSearchParams } from "next/navigation";
 import Link from "next/link";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { PlusIcon, UsersIcon, RefreshCwIcon } from "lucide-react";
+import {
+  PlusIcon,
+  UsersIcon,
+  RefreshCwIcon,
+  TrashIcon,
+  FileUpIcon,
+  ListIcon,
+  InfinityIcon,
+} from "lucide-react";
 import SearchFilters from "@/components/SearchFilters";
+import SavedViews from "@/components/SavedViews";
 import UserTable from "@/components/UserTable";
 import PaginationControls from "@/components/PaginationControls";
-import { getUsers } from "@/lib/api";
+import { getUsers, peekUsers, isCancelledRequest } from "@/lib/api";
+import { formatSortSpec, resolveSort } from "@/lib/sort";
+import { useInfiniteUsers } from "@/hooks/useInfiniteUsers";
 import { toast } from "sonner";
+
+// Read filters and pagination from the URL search params
+const parseSearchParams = (searchParams) => {
+  const filters = {
+    search: searchParams.get("search") || "",
+    name: searchParams.get("name") || "",
+    email: searchParams.get("email") || "",
+    country: searchParams.get("country") || "",
+    countries: searchParams.getAll("countries"),
+    fromDate: searchParams.get("fromDate") || "",
+    toDate: searchParams.get("toDate") || "",
+    q: searchParams.get("q") || "",
+  };
+
+  const pagination = {
+    page: parseInt(searchParams.get("page")) || 1,
+    limit: parseInt(searchParams.get("limit")) || 10,
+    // "sort" holds every key; sortBy/sortOrder are read from older links
+    sort: resolveSort({
+      sort: searchParams.get("sort"),
+      sortBy: searchParams.get("sortBy"),
+      sortOrder: searchParams.get("sortOrder"),
+    }),
+  };
+
+  return { filters, pagination };
+};
+
 export default function UsersPage() {
   const router = useRouter();
   const searchParams = useSearchParams();
 
+  // Serve the last known result for these params instantly (no skeleton)
+  const [initialResult] = useState(() => {
+    const { filters, pagination } = parseSearchParams(searchParams);
+    return peekUsers(filters, pagination);
+  });
+
   // State management
-  const [users, setUsers] = useState([]);
-  const [pagination, setPagination] = useState({});
-  const [loading, setLoading] = useState(true);
+  const [users, setUsers] = useState(initialResult?.users || []);
+  const [pagination, setPagination] = useState(initialResult?.pagination || {});
+  const [loading, setLoading] = useState(!initialResult);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  // Any request in flight, including silent revalidation of cached rows
+  const [fetching, setFetching] = useState(false);
+
+  // Controller for the in-flight request, aborted when a newer one starts
+  const abortControllerRef = useRef(null);
+
+  // Get current filters and pagination from URL. Keyed by value so params
+  // the list does not use (like the quick-view "view") do not refetch.
+  const paramsKey = JSON.stringify(parseSearchParams(searchParams));
+  const getCurrentParams = useCallback(
+    () => JSON.parse(paramsKey),
+    [paramsKey]
+  );
 
-  // Get current filters and pagination from URL
-  const getCurrentParams = useCallback(() => {
-    const filters = {
-      search: searchParams.get("search") || "",
-      name: searchParams.get("name") || "",
-      email: searchParams.get("email") || "",
-      country: searchParams.get("country") || "",
-      fromDate: searchParams.get("fromDate") || "",
-      toDate: searchParams.get("toDate") || "",
-    };
-
-    const paginationParams = {
-      page: parseInt(searchParams.get("page")) || 1,
-      limit: parseInt(searchParams.get("limit")) || 10,
-      sortBy: searchParams.get("sortBy") || "createdAt",
-      sortOrder: searchParams.get("sortOrder") || "DESC",
-    };
-
-    return { filters, pagination: paginationParams };
-  }, [searchParams]);
+  // Current filters (so the table can act on every matching user) and sort
+  const { filters: currentFilters, pagination: currentPagination } =
+    parseSearchParams(searchParams);
+  const currentSort = currentPagination.sort;
+
+  // Continuous mode loads further pages while scrolling instead of paging
+  const continuous = searchParams.get("mode") === "continuous";
+  const infinite = useInfiniteUsers(currentFilters, currentSort, {
+    enabled: continuous,
+  });
+  const {
+    refresh: refreshInfinite,
+    removeUsers: removeInfiniteUsers,
+    updateUsers: updateInfiniteUsers,
+  } = infinite;
 
   // Fetch users from API
   const fetchUsers = useCallback(
     async (showRefreshIndicator = false) => {
       const { filters, pagination: paginationParams } = getCurrentParams();
 
+      // Cancel any superseded request so only the latest params can win
+      abortControllerRef.current?.abort();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setFetching(true);
+
+      // Stale-while-revalidate: show cached rows, refetch in the background
+      const cached = peekUsers(filters, paginationParams);
+
       setError(null);
+      if (cached) {
+        setUsers(cached.users || []);
+        setPagination(cached.pagination || {});
+        setLoading(false);
+      }
       if (showRefreshIndicator) {
         setRefreshing(true);
-      } else {
+      } else if (!cached) {
         setLoading(true);
       }
 
@@ -62,17 +129,26 @@ export default function UsersPage() {
           pagination: paginationParams,
         });
 
-        const result = await getUsers(filters, paginationParams);
+        const result = await getUsers(filters, paginationParams, {
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
 
         setUsers(result.users || []);
         setPagination(result.pagination || {});
 
         console.log("Users fetched successfully:", result);
       } catch (err) {
+        if (isCancelledRequest(err, controller.signal)) return;
+
         console.error("Error fetching users:", err);
-        setError(err.message || "Failed to fetch users");
-        setUsers([]);
-        setPagination({});
+
+        // Keep showing cached rows if revalidation fails
+        if (!cached) {
+          setError(err.message || "Failed to fetch users");
+          setUsers([]);
+          setPagination({});
+        }
 
         // Error toast
         toast.error("Failed to load users", {
@@ -83,8 +159,12 @@ export default function UsersPage() {
           },
         });
       } finally {
-        setLoading(false);
-        setRefreshing(false);
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+          setLoading(false);
+          setRefreshing(false);
+          setFetching(false);
+        }
       }
     },
     [getCurrentParams]
@@ -92,8 +172,15 @@ export default function UsersPage() {
 
   // Initial load and URL parameter changes
   useEffect(() => {
-    fetchUsers();
-  }, [fetchUsers]);
+    if (!continuous) {
+      fetchUsers();
+    }
+  }, [fetchUsers, continuous]);
+
+  // Cancel the pending request when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
 
   // Handle filter changes from SearchFilters component
   const handleFiltersChange = useCallback((newFilters) => {
@@ -104,10 +191,11 @@ export default function UsersPage() {
 
   // Handle sorting from UserTable component
   const handleSort = useCallback(
-    (sortBy, sortOrder) => {
+    (sort) => {
       const params = new URLSearchParams(searchParams.toString());
-      params.set("sortBy", sortBy);
-      params.set("sortOrder", sortOrder);
+      params.set("sort", formatSortSpec(sort));
+      params.delete("sortBy");
+      params.delete("sortOrder");
       params.set("page", "1"); // Reset to page 1 when sorting
 
       const newURL = `${window.location.pathname}?${params.toString()}`;
@@ -127,24 +215,89 @@ export default function UsersPage() {
     // PaginationControls component handles URL updates
   }, []);
 
-  // Handle user deletion (auto-refresh)
-  const handleUserDeleted = useCallback(
-    (userId) => {
-      console.log("User deleted:", userId);
-      // Refresh the current page data
+  // Reload what the table shows in the current mode
+  const refreshList = useCallback(() => {
+    if (continuous) {
+      refreshInfinite();
+    } else {
       fetchUsers(true);
+    }
+  }, [continuous, refreshInfinite, fetchUsers]);
+
+  // Handle user deletion, single or bulk. Continuous mode drops the rows
+  // in place; refetching every loaded page would be far too slow.
+  const handleUserDeleted = useCallback(
+    (userIds) => {
+      console.log("User(s) deleted:", userIds);
+      if (continuous) {
+        removeInfiniteUsers([].concat(userIds));
+      } else {
+        // Refresh the current page data
+        fetchUsers(true);
+      }
+    },
+    [continuous, removeInfiniteUsers, fetchUsers]
+  );
+
+  // Handle undo of a deletion (auto-refresh)
+  const handleUserRestored = useCallback(
+    (userIds) => {
+      console.log("User(s) restored:", userIds);
+      refreshList();
     },
-    [fetchUsers]
+    [refreshList]
+  );
+
+  // Handle inline and bulk edits: merge the saved users into the rows
+  const handleUsersUpdated = useCallback(
+    (updatedUsers) => {
+      console.log(
+        "Users updated:",
+        updatedUsers.map((user) => user.id)
+      );
+      if (continuous) {
+        updateInfiniteUsers(updatedUsers);
+        return;
+      }
+
+      const updatedById = new Map(updatedUsers.map((user) => [user.id, user]));
+      setUsers((prev) =>
+        prev.map((user) =>
+          updatedById.has(user.id)
+            ? { ...user, ...updatedById.get(user.id) }
+            : user
+        )
+      );
+    },
+    [continuous, updateInfiniteUsers]
   );
 
   // Manual refresh
-  const handleRefresh = useCallback(() => {
-    fetchUsers(true);
-  }, [fetchUsers]);
+  const handleRefresh = refreshList;
+
+  // Switch between the pager and continuous scrolling
+  const handleModeChange = useCallback(
+    (mode) => {
+      const params = new URLSearchParams(searchParams.toString());
+      if (mode === "continuous") {
+        params.set("mode", "continuous");
+        params.delete("page");
+      } else {
+        params.delete("mode");
+      }
 
-  // Get current sort parameters
-  const currentSortBy = searchParams.get("sortBy") || "createdAt";
-  const currentSortOrder = searchParams.get("sortOrder") || "DESC";
+      const query = params.toString();
+      router.push(`${window.location.pathname}${query ? `?${query}` : ""}`, {
+        scroll: false,
+      });
+    },
+    [router, searchParams]
+  );
+
+  // What the table shows in the current mode
+  const list = continuous
+    ? infinite
+    : { users, pagination, loading, refreshing, error };
 
   return (
     <div className="container mx-auto p-6 space-y-6">
@@ -165,12 +318,26 @@ export default function UsersPage() {
             variant="outline"
             size="sm"
             onClick={handleRefresh}
-            disabled={loading || refreshing}
+            disabled={list.loading || list.refreshing}
           >
             <RefreshCwIcon
-              className={`h-4 w-4 mr-2 ${refreshing ? "animate-spin" : ""}`}
+              className={`h-4 w-4 mr-2 ${list.refreshing ? "animate-spin" : ""}`}
             />
-            {refreshing ? "Refreshing..." : "Refresh"}
+            {list.refreshing ? "Refreshing..." : "Refresh"}
+          </Button>
+
+          <Button variant="outline" size="sm" asChild>
+            <Link href="/users/trash">
+              <TrashIcon className="h-4 w-4 mr-2" />
+              Trash
+            </Link>
+          </Button>
+
+          <Button variant="outline" size="sm" asChild>
+            <Link href="/users/import">
+              <FileUpIcon className="h-4 w-4 mr-2" />
+              Import
+            </Link>
           </Button>
 
           <Button asChild>
@@ -188,45 +355,84 @@ export default function UsersPage() {
             <div className="flex items-center gap-4">
               <div className="text-center">
                 <div className="text-2xl font-bold">
-                  {loading
+                  {list.loading
                     ? "..."
-                    : pagination.totalItems?.toLocaleString() || "0"}
+                    : list.pagination.totalItems?.toLocaleString() || "0"}
                 </div>
                 <div className="text-sm text-muted-foreground">Total Users</div>
               </div>
 
-              {pagination.totalPages > 0 && (
+              {continuous ? (
                 <div className="text-center">
                   <div className="text-2xl font-bold">
-                    {pagination.currentPage || 1}
-                  </div>
-                  <div className="text-sm text-muted-foreground">
-                    of {pagination.totalPages} pages
+                    {list.users.length.toLocaleString()}
                   </div>
+                  <div className="text-sm text-muted-foreground">loaded</div>
                 </div>
+              ) : (
+                pagination.totalPages > 0 && (
+                  <div className="text-center">
+                    <div className="text-2xl font-bold">
+                      {pagination.currentPage || 1}
+                    </div>
+                    <div className="text-sm text-muted-foreground">
+                      of {pagination.totalPages} pages
+                    </div>
+                  </div>
+                )
               )}
             </div>
 
-            <div className="flex flex-wrap gap-2">
-              {currentSortBy && (
-                <Badge variant="outline">
-                  Sorted by: {currentSortBy} ({currentSortOrder})
-                </Badge>
-              )}
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant="outline">
+                Sorted by:{" "}
+                {currentSort
+                  .map(({ field, order }) => `${field} (${order})`)
+                  .join(", ")}
+              </Badge>
 
-              {pagination.itemsPerPage && (
+              {!continuous && pagination.itemsPerPage && (
                 <Badge variant="secondary">
                   {pagination.itemsPerPage} per page
                 </Badge>
               )}
+
+              {/* Pager or continuous scrolling */}
+              <div className="flex rounded-md border p-0.5">
+                <Button
+                  size="sm"
+                  variant={continuous ? "ghost" : "secondary"}
+                  className="h-7"
+                  onClick={() => handleModeChange("pages")}
+                  aria-pressed={!continuous}
+                >
+                  <ListIcon className="h-4 w-4 mr-1" />
+                  Pages
+                </Button>
+                <Button
+                  size="sm"
+                  variant={continuous ? "secondary" : "ghost"}
+                  className="h-7"
+                  onClick={() => handleModeChange("continuous")}
+                  aria-pressed={continuous}
+                >
+                  <InfinityIcon className="h-4 w-4 mr-1" />
+                  Continuous
+                </Button>
+              </div>
             </div>
           </div>
         </CardContent>
       </Card>
       {/* Search & Filters */}
-      <SearchFilters onFiltersChange={handleFiltersChange} />
+      <SearchFilters
+        onFiltersChange={handleFiltersChange}
+        searching={continuous ? infinite.loading : fetching}
+      />
+      {/* Saved Views */}
+      <SavedViews />
       {/* Error Display */}
-      {error && (
+      {list.error && (
         <Card className="border-destructive">
           <CardHeader>
             <CardTitle className="text-destructive">
@@ -234,7 +440,7 @@ export default function UsersPage() {
             </CardTitle>
           </CardHeader>
           <CardContent>
-            <p className="text-sm text-destructive mb-4">{error}</p>
+            <p className="text-sm text-destructive mb-4">{list.error}</p>
             <Button onClick={handleRefresh} variant="outline" size="sm">
               <RefreshCwIcon className="h-4 w-4 mr-2" />
               Try Again
@@ -244,20 +450,29 @@ export default function UsersPage() {
       )}
       {/* Users Table */}
       <UserTable
-        users={users}
-        loading={loading}
-        pagination={pagination}
-        sortBy={currentSortBy}
-        sortOrder={currentSortOrder}
+        users={list.users}
+        loading={list.loading}
+        pagination={list.pagination}
+        filters={currentFilters}
+        sort={currentSort}
         onSort={handleSort}
         onUserDeleted={handleUserDeleted}
+        onUserRestored={handleUserRestored}
+        onUsersUpdated={handleUsersUpdated}
+        continuous={continuous}
+        hasMore={infinite.hasMore}
+        loadingMore={infinite.loadingMore}
+        onLoadMore={infinite.loadMore}
+        onVisibleRangeChange={infinite.setVisibleRange}
       />
       {/* Pagination Controls */}
-      <PaginationControls
-        pagination={pagination}
-        onPageChange={handlePageChange}
-        onLimitChange={handleLimitChange}
-      />
+      {!continuous && (
+        <PaginationControls
+          pagination={pagination}
+          onPageChange={handlePageChange}
+          onLimitChange={handleLimitChange}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,340 @@
+"use client";
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useSearchParams } from "next/navigation";
+import Link from "next/link";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  ArrowLeftIcon,
+  TrashIcon,
+  RotateCcwIcon,
+  RefreshCwIcon,
+} from "lucide-react";
+import { format } from "date-fns";
+import PaginationControls from "@/components/PaginationControls";
+import {
+  getDeletedUsers,
+  restoreUser,
+  purgeUser,
+  isCancelledRequest,
+} from "@/lib/api";
+import { ConflictError, NotFoundError } from "@/lib/errors";
+import { toast } from "sonner";
+
+export default function TrashPage() {
+  const searchParams = useSearchParams();
+
+  // State management
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [userToPurge, setUserToPurge] = useState(null);
+
+  // Controller for the in-flight request, aborted when a newer one starts
+  const abortControllerRef = useRef(null);
+
+  const page = parseInt(searchParams.get("page")) || 1;
+  const limit = parseInt(searchParams.get("limit")) || 10;
+
+  // Fetch deleted users from API
+  const fetchDeletedUsers = useCallback(async () => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await getDeletedUsers(
+        { page, limit },
+        { signal: controller.signal }
+      );
+      if (controller.signal.aborted) return;
+
+      setUsers(result.users || []);
+      setPagination(result.pagination || {});
+    } catch (err) {
+      if (isCancelledRequest(err, controller.signal)) return;
+
+      console.error("Error fetching deleted users:", err);
+      setError(err.message || "Failed to fetch deleted users");
+      setUsers([]);
+      setPagination({});
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setLoading(false);
+      }
+    }
+  }, [page, limit]);
+
+  useEffect(() => {
+    fetchDeletedUsers();
+  }, [fetchDeletedUsers]);
+
+  // Cancel the pending request when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Restore a user back into the users list
+  const handleRestore = async (user) => {
+    setBusyUserId(user.id);
+    try {
+      await restoreUser(user.id);
+      toast.success("User restored", {
+        description: `${user.name} is back in the users list`,
+      });
+      fetchDeletedUsers();
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        toast.error("Cannot restore user", {
+          description:
+            Object.values(err.fieldErrors)[0] ||
+            "Another user now has the same email or mobile number",
+        });
+      } else if (err instanceof NotFoundError) {
+        toast.info("User is no longer in the trash");
+        fetchDeletedUsers();
+      } else {
+        toast.error("Failed to restore user", {
+          description: err.message || "An unexpected error occurred",
+        });
+      }
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  // Permanently delete the user selected in the dialog
+  const confirmPurge = async () => {
+    if (!userToPurge) return;
+
+    const user = userToPurge;
+    setUserToPurge(null);
+    setBusyUserId(user.id);
+
+    try {
+      await purgeUser(user.id);
+      toast.success("User permanently deleted", {
+        description: `${user.name} has been removed for good`,
+      });
+      fetchDeletedUsers();
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        toast.info("User is no longer in the trash");
+        fetchDeletedUsers();
+      } else {
+        toast.error("Failed to delete user", {
+          description: err.message || "An unexpected error occurred",
+        });
+      }
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  // Format deletion timestamp for display
+  const formatDate = (dateString) => {
+    if (!dateString) return "N/A";
+    try {
+      return format(new Date(dateString), "MMM d, yyyy HH:mm");
+    } catch (error) {
+      return "Invalid date";
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <Button variant="ghost" asChild className="p-2">
+            <Link href="/users">
+              <ArrowLeftIcon className="h-4 w-4" />
+            </Link>
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold flex items-center gap-2">
+              <TrashIcon className="h-8 w-8" />
+              Trash
+            </h1>
+            <p className="text-muted-foreground mt-1">
+              Deleted users can be restored or permanently deleted
+            </p>
+          </div>
+        </div>
+
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={fetchDeletedUsers}
+          disabled={loading}
+        >
+          <RefreshCwIcon
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Error Display */}
+      {error && (
+        <Card className="border-destructive">
+          <CardHeader>
+            <CardTitle className="text-destructive">
+              Error Loading Trash
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-destructive mb-4">{error}</p>
+            <Button onClick={fetchDeletedUsers} variant="outline" size="sm">
+              <RefreshCwIcon className="h-4 w-4 mr-2" />
+              Try Again
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Deleted Users Table */}
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Name</TableHead>
+              <TableHead className="hidden md:table-cell">Email</TableHead>
+              <TableHead>Deleted</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading ? (
+              Array.from({ length: 3 }).map((_, index) => (
+                <TableRow key={index}>
+                  <TableCell>
+                    <Skeleton className="h-4 w-32" />
+                  </TableCell>
+                  <TableCell className="hidden md:table-cell">
+                    <Skeleton className="h-4 w-48" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton className="h-4 w-28" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton className="h-8 w-32 ml-auto" />
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : users.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} className="text-center py-12">
+                  <TrashIcon className="mx-auto h-12 w-12 text-muted-foreground mb-4" />
+                  <h3 className="text-lg font-medium text-muted-foreground">
+                    Trash is empty
+                  </h3>
+                  <p className="text-sm text-muted-foreground mt-1">
+                    Deleted users will appear here
+                  </p>
+                </TableCell>
+              </TableRow>
+            ) : (
+              users.map((user) => (
+                <TableRow key={user.id} className="hover:bg-muted/50">
+                  <TableCell className="font-medium">{user.name}</TableCell>
+                  <TableCell className="hidden md:table-cell">
+                    {user.email}
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {formatDate(user.deletedAt)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <div className="flex gap-2 justify-end">
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleRestore(user)}
+                        disabled={busyUserId === user.id}
+                      >
+                        <RotateCcwIcon className="h-4 w-4 mr-1" />
+                        Restore
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="destructive"
+                        onClick={() => setUserToPurge(user)}
+                        disabled={busyUserId === user.id}
+                      >
+                        <TrashIcon className="h-4 w-4 mr-1" />
+                        Delete forever
+                      </Button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {/* Pagination Controls */}
+      <PaginationControls pagination={pagination} />
+
+      {/* Purge Confirmation Dialog */}
+      <Dialog
+        open={Boolean(userToPurge)}
+        onOpenChange={(open) => !open && setUserToPurge(null)}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Delete User Permanently</DialogTitle>
+            <DialogDescription>
+              Are you sure you want to permanently delete this user? This action
+              cannot be undone.
+            </DialogDescription>
+          </DialogHeader>
+
+          {userToPurge && (
+            <div className="bg-muted p-4 rounded-lg space-y-2">
+              <div>
+                <strong>Name:</strong> {userToPurge.name}
+              </div>
+              <div>
+                <strong>Email:</strong> {userToPurge.email}
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setUserToPurge(null)}>
+              Cancel
+            </Button>
+            <Button variant="destructive" onClick={confirmPurge}>
+              Delete Forever
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { XIcon } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+/**
+ * Bar shown above the user list while rows are selected.
+ * Bulk action buttons are passed as children.
+ */
+export default function BulkActionBar({
+  selectedCount = 0,
+  totalItems = 0,
+  pageFullySelected = false,
+  allMatchingSelected = false,
+  onSelectAllMatching,
+  onClearSelection,
+  children,
+  className,
+}) {
+  if (selectedCount === 0 && !allMatchingSelected) return null;
+
+  const count = allMatchingSelected ? totalItems : selectedCount;
+  const canSelectAllMatching =
+    !allMatchingSelected && pageFullySelected && totalItems > selectedCount;
+
+  return (
+    <Card className={cn("border-primary/40 bg-primary/5 py-3", className)}>
+      <CardContent className="flex flex-col gap-3 px-4 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+          <span className="font-medium">
+            {allMatchingSelected
+              ? `All ${count.toLocaleString()} matching users selected`
+              : `${count.toLocaleString()} selected`}
+          </span>
+
+          {canSelectAllMatching && (
+            <Button
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={onSelectAllMatching}
+            >
+              Select all {totalItems.toLocaleString()} matching users
+            </Button>
+          )}
+
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-auto px-2 py-1"
+            onClick={onClearSelection}
+          >
+            <XIcon className="h-4 w-4 mr-1" />
+            Clear selection
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">{children}</div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,152 @@
+"use client";
+
+import { useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { TrashIcon, RotateCcwIcon } from "lucide-react";
+import BulkProgress from "@/components/BulkProgress";
+import { useBulkRun } from "@/hooks/useBulkRun";
+import { deleteUser } from "@/lib/api";
+import { NotFoundError } from "@/lib/errors";
+
+// Names listed in the confirmation before "and N more"
+const PREVIEW_COUNT = 5;
+
+/**
+ * Confirm, run and summarize deleting several users at once.
+ * `onComplete(deletedUsers, failures)` is called after every run.
+ */
+export default function BulkDeleteDialog({
+  open,
+  onOpenChange,
+  users = [],
+  onComplete,
+}) {
+  const run = useBulkRun();
+  const resetRun = run.reset;
+  const { failures, skipped, retryItems } = run;
+
+  // "confirm" -> "running" -> "done"
+  const phase = run.state === "idle" ? "confirm" : run.state;
+
+  // Start over every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      resetRun();
+    }
+  }, [open, users, resetRun]);
+
+  const runDelete = async (items) => {
+    const { succeeded, failed } = await run.start(items, async (user) => {
+      try {
+        await deleteUser(user.id);
+      } catch (error) {
+        // Already gone counts as deleted
+        if (!(error instanceof NotFoundError)) throw error;
+      }
+    });
+
+    if (onComplete) {
+      onComplete(
+        succeeded.map(({ item }) => item),
+        failed
+      );
+    }
+  };
+
+  // Keep the dialog open while deletes are in flight
+  const handleOpenChange = (nextOpen) => {
+    if (run.running) return;
+    onOpenChange(nextOpen);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent showCloseButton={phase !== "running"}>
+        <DialogHeader>
+          <DialogTitle>
+            {phase === "confirm"
+              ? `Delete ${users.length} ${users.length === 1 ? "User" : "Users"}`
+              : phase === "running"
+                ? "Deleting Users..."
+                : "Bulk Delete Finished"}
+          </DialogTitle>
+          <DialogDescription>
+            {phase === "confirm"
+              ? "Are you sure you want to delete these users? They will be moved to the trash, where they can be restored."
+              : phase === "running"
+                ? "Please keep this window open until all users are processed."
+                : `${run.succeededCount} moved to trash, ${failures.length} failed${
+                    skipped.length > 0 ? `, ${skipped.length} not started` : ""
+                  }.`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {phase === "confirm" ? (
+          <div className="bg-muted p-4 rounded-lg space-y-1 text-sm">
+            {users.slice(0, PREVIEW_COUNT).map((user) => (
+              <div key={user.id} className="truncate">
+                <strong>{user.name}</strong>{" "}
+                <span className="text-muted-foreground">({user.email})</span>
+              </div>
+            ))}
+            {users.length > PREVIEW_COUNT && (
+              <div className="text-muted-foreground">
+                and {users.length - PREVIEW_COUNT} more
+              </div>
+            )}
+          </div>
+        ) : (
+          <BulkProgress
+            items={run.runItems}
+            statuses={run.statuses}
+            getLabel={(user) => `${user.name} (${user.email})`}
+          />
+        )}
+
+        <DialogFooter>
+          {phase === "confirm" && (
+            <>
+              <Button variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button
+                variant="destructive"
+                onClick={() => runDelete(users)}
+                disabled={users.length === 0}
+              >
+                <TrashIcon className="h-4 w-4 mr-2" />
+                Delete {users.length} {users.length === 1 ? "User" : "Users"}
+              </Button>
+            </>
+          )}
+
+          {phase === "running" && (
+            <Button variant="outline" onClick={run.stop}>
+              Stop
+            </Button>
+          )}
+
+          {phase === "done" && (
+            <>
+              {retryItems.length > 0 && (
+                <Button variant="outline" onClick={() => runDelete(retryItems)}>
+                  <RotateCcwIcon className="h-4 w-4 mr-2" />
+                  Retry {retryItems.length}
+                </Button>
+              )}
+              <Button onClick={() => onOpenChange(false)}>Close</Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,362 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Calendar } from "@/components/ui/calendar";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  ArrowRightIcon,
+  ChevronDownIcon,
+  PencilIcon,
+  RotateCcwIcon,
+} from "lucide-react";
+import BulkProgress from "@/components/BulkProgress";
+import { useBulkRun } from "@/hooks/useBulkRun";
+import { updateUser } from "@/lib/api";
+import { userSchema, validateField, countCharacters } from "@/lib/validations";
+import { formatCalendarDate, toCalendarDate } from "@/lib/dates";
+import { cn } from "@/lib/utils";
+
+// Email and mobile number must stay unique, so they are edited one by one
+const BULK_EDITABLE_FIELDS = ["country", "birthday", "aboutYou", "name"];
+
+const EMPTY_VALUES = { country: "", birthday: null, aboutYou: "", name: "" };
+
+// Value sent to the API for a field
+const toApiValue = (field, value) =>
+  field === "birthday" ? toCalendarDate(value) : value.trim();
+
+// How a stored value compares with the new one
+const toComparable = (field, value) =>
+  field === "birthday" ? toCalendarDate(value) : String(value ?? "").trim();
+
+const formatValue = (field, value) => {
+  if (field === "birthday") return formatCalendarDate(value);
+  return value ? String(value) : "—";
+};
+
+/**
+ * Change the same fields on several users at once.
+ * `onComplete(updatedUsers, failures)` is called after every run.
+ */
+export default function BulkEditDialog({
+  open,
+  onOpenChange,
+  users = [],
+  onComplete,
+}) {
+  // "edit" -> "preview", then the run's "running" -> "done"
+  const [step, setStep] = useState("edit");
+  const [enabledFields, setEnabledFields] = useState({});
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const [calendarOpen, setCalendarOpen] = useState(false);
+  const run = useBulkRun();
+  const resetRun = run.reset;
+  const { failures, skipped, retryItems } = run;
+  const phase = run.state === "idle" ? step : run.state;
+
+  // Start over every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setStep("edit");
+      setEnabledFields({});
+      setValues(EMPTY_VALUES);
+      resetRun();
+    }
+  }, [open, resetRun]);
+
+  const selectedFields = BULK_EDITABLE_FIELDS.filter(
+    (field) => enabledFields[field]
+  );
+
+  // Same rules as UserForm, for the fields being changed only
+  const errors = Object.fromEntries(
+    selectedFields
+      .map((field) => [field, validateField(field, values[field])])
+      .filter(([, error]) => error)
+  );
+  const canPreview =
+    selectedFields.length > 0 && Object.keys(errors).length === 0;
+
+  const changes = Object.fromEntries(
+    selectedFields.map((field) => [field, toApiValue(field, values[field])])
+  );
+
+  // Per user, the fields whose value would actually change
+  const previews = users.map((user) => ({
+    user,
+    diffs: selectedFields
+      .filter(
+        (field) =>
+          toComparable(field, user[field]) !==
+          toComparable(field, changes[field])
+      )
+      .map((field) => ({
+        field,
+        before: user[field],
+        after: changes[field],
+      })),
+  }));
+  const changedUsers = previews
+    .filter(({ diffs }) => diffs.length > 0)
+    .map(({ user }) => user);
+
+  const runUpdate = async (items) => {
+    const { succeeded, failed } = await run.start(items, (user) =>
+      updateUser(user.id, changes)
+    );
+
+    if (onComplete) {
+      onComplete(
+        succeeded.map(({ result, item }) => result || item),
+        failed
+      );
+    }
+  };
+
+  // Keep the dialog open while updates are in flight
+  const handleOpenChange = (nextOpen) => {
+    if (run.running) return;
+    onOpenChange(nextOpen);
+  };
+
+  const toggleField = (field, checked) =>
+    setEnabledFields((prev) => ({ ...prev, [field]: checked }));
+
+  const handleValueChange = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+    toggleField(field, true);
+  };
+
+  const renderInput = (field) => {
+    const error = enabledFields[field] && errors[field];
+
+    switch (field) {
+      case "birthday":
+        return (
+          <Popover open={calendarOpen} onOpenChange={setCalendarOpen}>
+            <PopoverTrigger asChild>
+              <Button
+                variant="outline"
+                className={cn(
+                  "w-full justify-between font-normal",
+                  !values.birthday && "text-muted-foreground",
+                  error && "border-red-500"
+                )}
+              >
+                {values.birthday
+                  ? values.birthday.toLocaleDateString()
+                  : "Select date"}
+                <ChevronDownIcon className="h-4 w-4" />
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent
+              className="w-auto overflow-hidden p-0"
+              align="start"
+            >
+              <Calendar
+                mode="single"
+                selected={values.birthday}
+                captionLayout="dropdown"
+                onSelect={(date) => {
+                  if (date) {
+                    handleValueChange("birthday", date);
+                  }
+                  setCalendarOpen(false);
+                }}
+                disabled={(date) => date > new Date()}
+                initialFocus
+              />
+            </PopoverContent>
+          </Popover>
+        );
+      case "aboutYou":
+        return (
+          <>
+            <textarea
+              placeholder={`New about text (minimum ${userSchema.aboutYou.minLength} characters)`}
+              value={values.aboutYou}
+              onChange={(e) => handleValueChange("aboutYou", e.target.value)}
+              className={cn(
+                "flex min-h-[80px] w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-xs placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring",
+                error && "border-red-500"
+              )}
+              rows={3}
+            />
+            <p className="text-xs text-muted-foreground text-right">
+              {countCharacters(values.aboutYou)}/{userSchema.aboutYou.maxLength}{" "}
+              characters
+            </p>
+          </>
+        );
+      default:
+        return (
+          <Input
+            placeholder={`New ${userSchema[field].label.toLowerCase()}`}
+            value={values[field]}
+            onChange={(e) => handleValueChange(field, e.target.value)}
+            className={error ? "border-red-500" : ""}
+          />
+        );
+    }
+  };
+
+  const title = {
+    edit: `Edit ${users.length} ${users.length === 1 ? "User" : "Users"}`,
+    preview: "Review Changes",
+    running: "Updating Users...",
+    done: "Bulk Edit Finished",
+  }[phase];
+
+  const description = {
+    edit: "Choose the fields to change. The new value is applied to every selected user.",
+    preview: `${changedUsers.length} of ${users.length} users will change.`,
+    running: "Please keep this window open until all users are processed.",
+    done: `${run.succeededCount} updated, ${failures.length} failed${
+      skipped.length > 0 ? `, ${skipped.length} not started` : ""
+    }.`,
+  }[phase];
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent
+        className="sm:max-w-2xl"
+        showCloseButton={phase !== "running"}
+      >
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>{description}</DialogDescription>
+        </DialogHeader>
+
+        {phase === "edit" && (
+          <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-1">
+            {BULK_EDITABLE_FIELDS.map((field) => (
+              <div key={field} className="space-y-2">
+                <label className="text-sm font-medium flex items-center gap-2">
+                  <Checkbox
+                    checked={!!enabledFields[field]}
+                    onCheckedChange={(checked) => toggleField(field, checked)}
+                  />
+                  {userSchema[field].label}
+                </label>
+                <div className={cn(!enabledFields[field] && "opacity-60")}>
+                  {renderInput(field)}
+                </div>
+                {enabledFields[field] && errors[field] && (
+                  <p className="text-sm text-red-600">{errors[field]}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {phase === "preview" && (
+          <div className="max-h-[60vh] overflow-y-auto rounded-md border text-sm">
+            {previews.map(({ user, diffs }) => (
+              <div key={user.id} className="border-b p-3 last:border-b-0">
+                <div className="font-medium">
+                  {user.name}{" "}
+                  <span className="text-muted-foreground font-normal">
+                    ({user.email})
+                  </span>
+                </div>
+                {diffs.length === 0 ? (
+                  <div className="text-xs text-muted-foreground mt-1">
+                    No change
+                  </div>
+                ) : (
+                  diffs.map(({ field, before, after }) => (
+                    <div
+                      key={field}
+                      className="mt-1 grid grid-cols-[7rem_1fr_auto_1fr] items-start gap-2 text-xs"
+                    >
+                      <span className="text-muted-foreground">
+                        {userSchema[field].label}
+                      </span>
+                      <span className="line-through text-muted-foreground break-words">
+                        {formatValue(field, before)}
+                      </span>
+                      <ArrowRightIcon className="h-3 w-3 mt-0.5" />
+                      <span className="break-words">
+                        {formatValue(field, after)}
+                      </span>
+                    </div>
+                  ))
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {(phase === "running" || phase === "done") && (
+          <BulkProgress
+            items={run.runItems}
+            statuses={run.statuses}
+            getLabel={(user) => `${user.name} (${user.email})`}
+          />
+        )}
+
+        <DialogFooter>
+          {phase === "edit" && (
+            <>
+              <Button variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button onClick={() => setStep("preview")} disabled={!canPreview}>
+                Preview Changes
+              </Button>
+            </>
+          )}
+
+          {phase === "preview" && (
+            <>
+              <Button variant="outline" onClick={() => setStep("edit")}>
+                Back
+              </Button>
+              <Button
+                onClick={() => runUpdate(changedUsers)}
+                disabled={changedUsers.length === 0}
+              >
+                <PencilIcon className="h-4 w-4 mr-2" />
+                Update {changedUsers.length}{" "}
+                {changedUsers.length === 1 ? "User" : "Users"}
+              </Button>
+            </>
+          )}
+
+          {phase === "running" && (
+            <Button variant="outline" onClick={run.stop}>
+              Stop
+            </Button>
+          )}
+
+          {phase === "done" && (
+            <>
+              {retryItems.length > 0 && (
+                <Button variant="outline" onClick={() => runUpdate(retryItems)}>
+                  <RotateCcwIcon className="h-4 w-4 mr-2" />
+                  Retry {retryItems.length}
+                </Button>
+              )}
+              <Button onClick={() => onOpenChange(false)}>Close</Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,102 @@
+"use client";
+
+import {
+  CheckCircle2Icon,
+  CircleIcon,
+  Loader2Icon,
+  XCircleIcon,
+} from "lucide-react";
+import { cn } from "@/lib/utils";
+
+// Per-item status values used by bulk dialogs
+export const BULK_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+const STATUS_ICONS = {
+  [BULK_STATUS.PENDING]: (
+    <CircleIcon className="h-4 w-4 shrink-0 text-muted-foreground" />
+  ),
+  [BULK_STATUS.RUNNING]: (
+    <Loader2Icon className="h-4 w-4 shrink-0 animate-spin text-primary" />
+  ),
+  [BULK_STATUS.DONE]: (
+    <CheckCircle2Icon className="h-4 w-4 shrink-0 text-green-600" />
+  ),
+  [BULK_STATUS.FAILED]: (
+    <XCircleIcon className="h-4 w-4 shrink-0 text-destructive" />
+  ),
+};
+
+// Prefer the backend's field message, e.g. "User with this email already exists"
+const getErrorMessage = (error) =>
+  Object.values(error.fieldErrors || {})[0] ||
+  error.message ||
+  "An unexpected error occurred";
+
+/**
+ * Progress bar plus a scrollable list of items with their status.
+ * `statuses` maps item keys to `{ status, error }`.
+ */
+export default function BulkProgress({
+  items = [],
+  statuses = {},
+  getKey = (item) => item.id,
+  getLabel = (item) => item.name,
+  className,
+}) {
+  const settled = items.filter((item) => {
+    const status = statuses[getKey(item)]?.status;
+    return status === BULK_STATUS.DONE || status === BULK_STATUS.FAILED;
+  }).length;
+  const percent = items.length ? Math.round((settled / items.length) * 100) : 0;
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      <div className="space-y-1">
+        <div className="flex justify-between text-sm text-muted-foreground">
+          <span>
+            {settled} of {items.length} processed
+          </span>
+          <span>{percent}%</span>
+        </div>
+        <div
+          className="h-2 w-full overflow-hidden rounded-full bg-muted"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={items.length}
+          aria-valuenow={settled}
+        >
+          <div
+            className="h-full bg-primary transition-all"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      </div>
+
+      <ul className="max-h-64 space-y-1 overflow-y-auto rounded-md border p-2 text-sm">
+        {items.map((item) => {
+          const key = getKey(item);
+          const { status = BULK_STATUS.PENDING, error } = statuses[key] || {};
+
+          return (
+            <li key={key} className="flex items-start gap-2 py-0.5">
+              <span className="mt-0.5">{STATUS_ICONS[status]}</span>
+              <div className="min-w-0">
+                <div className="truncate">{getLabel(item)}</div>
+                {error && (
+                  <div className="text-xs text-destructive">
+                    {getErrorMessage(error)}
+                  </div>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Columns3Icon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  RotateCcwIcon,
+} from "lucide-react";
+import { USER_COLUMNS, moveColumn } from "@/lib/userColumns";
+
+/**
+ * Show, hide and reorder table columns. Columns can also be reordered by
+ * dragging their headers; this list is the keyboard-friendly alternative.
+ */
+export default function ColumnChooser({ layout, onChange, onReset }) {
+  const visibleCount = layout.order.length - layout.hidden.length;
+
+  const toggleColumn = (key, checked) => {
+    onChange({
+      ...layout,
+      hidden: checked
+        ? layout.hidden.filter((item) => item !== key)
+        : [...layout.hidden, key],
+    });
+  };
+
+  const moveBy = (key, offset) => {
+    const targetKey = layout.order[layout.order.indexOf(key) + offset];
+    if (targetKey) {
+      onChange(moveColumn(layout, key, targetKey));
+    }
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button size="sm" variant="outline">
+          <Columns3Icon className="h-4 w-4 mr-2" />
+          Columns
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-64 p-2" align="end">
+        <ul className="space-y-1">
+          {layout.order.map((key, index) => {
+            const column = USER_COLUMNS.find((item) => item.key === key);
+            const visible = !layout.hidden.includes(key);
+
+            return (
+              <li key={key} className="flex items-center gap-2">
+                <label className="flex flex-1 items-center gap-2 rounded px-2 py-1 text-sm hover:bg-muted">
+                  <Checkbox
+                    checked={visible}
+                    onCheckedChange={(checked) => toggleColumn(key, checked)}
+                    // Keep at least one column on screen
+                    disabled={visible && visibleCount === 1}
+                  />
+                  {column.label}
+                </label>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-7 w-7"
+                  onClick={() => moveBy(key, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${column.label} left`}
+                >
+                  <ChevronUpIcon className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="icon"
+                  variant="ghost"
+                  className="h-7 w-7"
+                  onClick={() => moveBy(key, 1)}
+                  disabled={index === layout.order.length - 1}
+                  aria-label={`Move ${column.label} right`}
+                >
+                  <ChevronDownIcon className="h-4 w-4" />
+                </Button>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="mt-2 border-t pt-2">
+          <Button
+            size="sm"
+            variant="ghost"
+            className="w-full justify-start"
+            onClick={onReset}
+          >
+            <RotateCcwIcon className="h-4 w-4 mr-2" />
+            Reset to default
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -0,0 +1,146 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Loader2Icon, SearchIcon } from "lucide-react";
+import { toggleValue } from "@/lib/facets";
+import { cn } from "@/lib/utils";
+
+// Countries listed before "Show all"
+const COLLAPSED_COUNT = 8;
+
+// Offer a search box once the list gets long
+const SEARCHABLE_COUNT = 12;
+
+/**
+ * Multi-select list of the countries present, each with its user count.
+ * `options` are `[{ value, count }]` for the other filters; picked
+ * countries missing from them are still listed with a count of 0.
+ */
+export default function CountryFacet({
+  options,
+  selected = [],
+  onChange,
+  loading = false,
+  error = null,
+  className,
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const [query, setQuery] = useState("");
+
+  const allOptions = [
+    ...(options || []),
+    ...selected
+      .filter((value) => !options?.some((option) => option.value === value))
+      .map((value) => ({ value, count: 0 })),
+  ];
+
+  const matchingOptions = query.trim()
+    ? allOptions.filter((option) =>
+        option.value.toLowerCase().includes(query.trim().toLowerCase())
+      )
+    : allOptions;
+
+  // Picked countries stay visible when the list is collapsed
+  const visibleOptions =
+    expanded || query.trim()
+      ? matchingOptions
+      : matchingOptions.filter(
+          (option, index) =>
+            index < COLLAPSED_COUNT || selected.includes(option.value)
+        );
+
+  return (
+    <div className={cn("space-y-2", className)}>
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-sm font-medium">
+          Country
+          {loading && (
+            <Loader2Icon className="h-3 w-3 animate-spin text-muted-foreground" />
+          )}
+        </label>
+        {selected.length > 0 && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-6 px-2 text-muted-foreground"
+            onClick={() => onChange([])}
+          >
+            Clear ({selected.length})
+          </Button>
+        )}
+      </div>
+
+      {allOptions.length > SEARCHABLE_COUNT && (
+        <div className="relative">
+          <SearchIcon className="absolute left-2 top-1/2 h-3 w-3 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Find a country..."
+            className="h-8 pl-7"
+            aria-label="Find a country"
+          />
+        </div>
+      )}
+
+      {error && !options ? (
+        <p className="text-sm text-destructive">{error}</p>
+      ) : !options ? (
+        <p className="text-sm text-muted-foreground">Loading countries...</p>
+      ) : matchingOptions.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No countries found</p>
+      ) : (
+        <ul
+          className={cn(
+            "grid grid-cols-1 gap-1 sm:grid-cols-2 lg:grid-cols-4",
+            loading && "opacity-60"
+          )}
+          aria-busy={loading}
+        >
+          {visibleOptions.map((option) => {
+            const checked = selected.includes(option.value);
+
+            return (
+              <li key={option.value}>
+                <label
+                  className={cn(
+                    "flex cursor-pointer items-center gap-2 rounded-md px-2 py-1 text-sm hover:bg-muted",
+                    !checked && option.count === 0 && "text-muted-foreground"
+                  )}
+                >
+                  <Checkbox
+                    checked={checked}
+                    onCheckedChange={() =>
+                      onChange(toggleValue(selected, option.value))
+                    }
+                  />
+                  <span className="flex-1 truncate">{option.value}</span>
+                  <span className="text-xs tabular-nums text-muted-foreground">
+                    {option.count}
+                  </span>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {!query.trim() &&
+        (expanded || visibleOptions.length < matchingOptions.length) && (
+          <Button
+            variant="link"
+            size="sm"
+            className="h-auto p-0"
+            onClick={() => setExpanded(!expanded)}
+          >
+            {expanded
+              ? "Show fewer"
+              : `Show all ${matchingOptions.length} countries`}
+          </Button>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+"use client";
+
+import { useState, useRef } from "react";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { AlertCircleIcon, Loader2Icon, PencilIcon } from "lucide-react";
+import { validateField } from "@/lib/validations";
+import { toCalendarDate, todayCalendarDate } from "@/lib/dates";
+import { cn } from "@/lib/utils";
+
+// Draft value for the editor; birthdays are edited as "YYYY-MM-DD"
+const toDraft = (field, value) =>
+  field === "birthday" ? toCalendarDate(value) || "" : String(value ?? "");
+
+// Value sent to the API
+const toApiValue = (field, draft) =>
+  field === "birthday" ? toCalendarDate(draft) : draft.trim();
+
+const getErrorMessage = (field, error) =>
+  error.fieldErrors?.[field] ||
+  Object.values(error.fieldErrors || {})[0] ||
+  error.message ||
+  "An unexpected error occurred";
+
+/**
+ * Table cell that is edited in place from its pencil button or on
+ * double-click; links in `children` keep working, so a cell can show a
+ * link and still be editable. Enter or leaving the field saves, Escape
+ * cancels. `onSave(value)` must return a promise that rejects when the
+ * server refuses the change; the rejected value is kept so the next edit
+ * starts from it.
+ */
+export default function EditableCell({
+  field,
+  value,
+  onSave,
+  className,
+  children,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState("");
+  const [failedDraft, setFailedDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Guards against the blur that follows Enter/Escape unmounting the input
+  const activeRef = useRef(false);
+
+  const startEditing = () => {
+    if (saving) return;
+    setDraft(failedDraft ?? toDraft(field, value));
+    setEditing(true);
+    activeRef.current = true;
+  };
+
+  const cancel = () => {
+    activeRef.current = false;
+    setEditing(false);
+    setError("");
+    setFailedDraft(null);
+  };
+
+  const commit = async () => {
+    if (!activeRef.current) return;
+    const nextValue = toApiValue(field, draft);
+
+    // Nothing to save
+    if (nextValue === toApiValue(field, toDraft(field, value))) {
+      cancel();
+      return;
+    }
+
+    const validationError = validateField(field, nextValue);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    activeRef.current = false;
+    setEditing(false);
+    setError("");
+    setSaving(true);
+
+    try {
+      await onSave(nextValue);
+      setFailedDraft(null);
+    } catch (err) {
+      setError(getErrorMessage(field, err));
+      setFailedDraft(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      commit();
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      cancel();
+    }
+  };
+
+  if (editing) {
+    return (
+      <div className={cn("min-w-32 space-y-1", className)}>
+        <Input
+          type={field === "birthday" ? "date" : "text"}
+          max={field === "birthday" ? todayCalendarDate() : undefined}
+          value={draft}
+          onChange={(event) => {
+            setDraft(event.target.value);
+            setError("");
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={commit}
+          aria-invalid={!!error}
+          aria-label={`Edit ${field}`}
+          className="h-8"
+          autoFocus
+        />
+        {error && <p className="text-xs text-destructive">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={cn(
+        "group flex items-center gap-1 -mx-1 px-1 rounded hover:ring-1 hover:ring-border",
+        saving && "text-muted-foreground",
+        error && "ring-1 ring-destructive",
+        className
+      )}
+      onDoubleClick={(event) => {
+        // A double-click on a link is two clicks that already navigated
+        if (event.target.closest("a")) return;
+        startEditing();
+      }}
+      title={error || undefined}
+    >
+      <span className="min-w-0 truncate">{children}</span>
+      {!saving && (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={startEditing}
+          className="h-5 w-5 shrink-0 p-0 opacity-0 group-hover:opacity-100 focus-visible:opacity-100"
+          aria-label={`Edit ${field}`}
+          title="Edit"
+        >
+          <PencilIcon className="h-3 w-3" />
+        </Button>
+      )}
+      {saving && <Loader2Icon className="h-3 w-3 shrink-0 animate-spin" />}
+      {error && !saving && (
+        <AlertCircleIcon className="h-3 w-3 shrink-0 text-destructive" />
+      )}
+    </div>
+  );
+}
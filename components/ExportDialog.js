@@ -0,0 +1,255 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { DownloadIcon, Loader2Icon } from "lucide-react";
+import { getAllUsers, isCancelledRequest } from "@/lib/api";
+import {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  createExportBlob,
+  downloadBlob,
+  getExportFileName,
+} from "@/lib/export";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+const ALL_COLUMN_KEYS = EXPORT_COLUMNS.map((column) => column.key);
+
+/**
+ * Export the current page, the selection or every user matching the
+ * current filters, with a choice of columns and file format.
+ */
+export default function ExportDialog({
+  open,
+  onOpenChange,
+  pageUsers = [],
+  selectedUsers = [],
+  allMatchingSelected = false,
+  totalItems = 0,
+  filters = {},
+  sort = {},
+}) {
+  const [scope, setScope] = useState("page");
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [columnKeys, setColumnKeys] = useState(ALL_COLUMN_KEYS);
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const hasSelection = allMatchingSelected || selectedUsers.length > 0;
+
+  // Default to the selection when there is one
+  useEffect(() => {
+    if (open) {
+      setScope(hasSelection ? "selection" : "page");
+      setProgress(null);
+    }
+  }, [open, hasSelection]);
+
+  // Cancel a running export when the dialog goes away
+  useEffect(() => {
+    if (!open) abortControllerRef.current?.abort();
+  }, [open]);
+
+  const scopes = [
+    { value: "page", label: "Current page", count: pageUsers.length },
+    {
+      value: "selection",
+      label: "Selected users",
+      count: allMatchingSelected ? totalItems : selectedUsers.length,
+      disabled: !hasSelection,
+    },
+    { value: "all", label: "All matching users", count: totalItems },
+  ];
+
+  const toggleColumn = (key, checked) =>
+    setColumnKeys((prev) =>
+      checked
+        ? ALL_COLUMN_KEYS.filter((item) => item === key || prev.includes(item))
+        : prev.filter((item) => item !== key)
+    );
+
+  // Users for the chosen scope; "all" pages through every match
+  const loadUsers = async (signal) => {
+    if (scope === "page") return pageUsers;
+    if (scope === "selection" && !allMatchingSelected) return selectedUsers;
+
+    return getAllUsers(filters, sort, {
+      signal,
+      onProgress: (loaded, total) => setProgress({ loaded, total }),
+    });
+  };
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setExporting(true);
+    setProgress(null);
+
+    try {
+      const users = await loadUsers(controller.signal);
+      if (controller.signal.aborted) return;
+
+      const blob = await createExportBlob(users, exportFormat, columnKeys);
+      downloadBlob(blob, getExportFileName(scope, exportFormat));
+
+      toast.success("Export ready", {
+        description: `${users.length} ${
+          users.length === 1 ? "user" : "users"
+        } exported as ${EXPORT_FORMATS[exportFormat].label}`,
+      });
+      onOpenChange(false);
+    } catch (error) {
+      if (isCancelledRequest(error, controller.signal)) return;
+
+      console.error("Error exporting users:", error);
+      toast.error("Export failed", {
+        description: error.message || "An unexpected error occurred",
+      });
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Export Users</DialogTitle>
+          <DialogDescription>
+            Choose which users and columns to include. The file is created in
+            your browser.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5">
+          {/* Scope */}
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Users</div>
+            <div className="grid gap-2 sm:grid-cols-3">
+              {scopes.map((option) => (
+                <Button
+                  key={option.value}
+                  type="button"
+                  variant={scope === option.value ? "default" : "outline"}
+                  className="h-auto flex-col items-start py-2"
+                  onClick={() => setScope(option.value)}
+                  disabled={option.disabled || exporting}
+                >
+                  <span>{option.label}</span>
+                  <span className="text-xs opacity-80">
+                    {option.count.toLocaleString()}{" "}
+                    {option.count === 1 ? "user" : "users"}
+                  </span>
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          {/* Format */}
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Format</div>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                <Button
+                  key={value}
+                  type="button"
+                  size="sm"
+                  variant={exportFormat === value ? "default" : "outline"}
+                  onClick={() => setExportFormat(value)}
+                  disabled={exporting}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+
+          {/* Columns */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium">Columns</div>
+              <div className="flex gap-1">
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setColumnKeys(ALL_COLUMN_KEYS)}
+                  disabled={exporting}
+                >
+                  All
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setColumnKeys([])}
+                  disabled={exporting}
+                >
+                  None
+                </Button>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-3">
+              {EXPORT_COLUMNS.map((column) => (
+                <label
+                  key={column.key}
+                  className={cn(
+                    "flex items-center gap-2 text-sm",
+                    exporting && "opacity-50"
+                  )}
+                >
+                  <Checkbox
+                    checked={columnKeys.includes(column.key)}
+                    onCheckedChange={(checked) =>
+                      toggleColumn(column.key, checked)
+                    }
+                    disabled={exporting}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {exporting && progress && (
+            <p className="text-sm text-muted-foreground">
+              Loading users... {progress.loaded.toLocaleString()} of{" "}
+              {progress.total.toLocaleString()}
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleExport}
+            disabled={exporting || columnKeys.length === 0}
+          >
+            {exporting ? (
+              <Loader2Icon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <DownloadIcon className="h-4 w-4 mr-2" />
+            )}
+            {exporting ? "Exporting..." : "Export"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
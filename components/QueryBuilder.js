@@ -0,0 +1,370 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  PlusIcon,
+  ListTreeIcon,
+  TrashIcon,
+  CheckIcon,
+  XIcon,
+} from "lucide-react";
+import {
+  MAX_QUERY_DEPTH,
+  QUERY_FIELDS,
+  QUERY_OPERATORS,
+  createQueryGroup,
+  createQueryRule,
+  getEmptyValue,
+  getFieldOperators,
+  getQueryField,
+  isQueryGroup,
+  parseQuery,
+  serializeQuery,
+} from "@/lib/userQuery";
+import { cn } from "@/lib/utils";
+
+// HTML input type for a field's values
+const INPUT_TYPES = { text: "text", date: "date", number: "number" };
+
+// Operators whose value is a single string can keep it when switching
+const isScalarOperator = (operator) =>
+  operator !== "in" && operator !== "between";
+
+// Toggle showing whether a rule or group is negated
+function NotToggle({ active, onToggle, label }) {
+  return (
+    <Button
+      type="button"
+      size="sm"
+      variant={active ? "destructive" : "outline"}
+      className="h-8 px-2 shrink-0"
+      onClick={onToggle}
+      aria-pressed={active}
+      aria-label={label}
+    >
+      NOT
+    </Button>
+  );
+}
+
+// Values of an "is one of" condition as chips. Enter (or leaving the
+// field) adds the typed value as is, so values may contain commas.
+function ValueListInput({ values, onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const addDraft = () => {
+    const value = draft.trim();
+    if (value && !values.includes(value)) {
+      onChange([...values, value]);
+    }
+    setDraft("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addDraft();
+    } else if (e.key === "Backspace" && !draft && values.length) {
+      onChange(values.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex min-h-8 flex-1 flex-wrap items-center gap-1 rounded-md border px-1 py-0.5">
+      {values.map((value) => (
+        <Badge key={value} variant="secondary" className="gap-1">
+          {value}
+          <button
+            type="button"
+            onClick={() => onChange(values.filter((item) => item !== value))}
+            className="rounded-sm hover:bg-muted"
+            aria-label={`Remove ${value}`}
+          >
+            <XIcon className="h-3 w-3" />
+          </button>
+        </Badge>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={addDraft}
+        placeholder={values.length ? "" : "Type a value, then Enter"}
+        className="h-6 min-w-[120px] flex-1 bg-transparent px-1 text-sm outline-none placeholder:text-muted-foreground"
+        aria-label="Add value"
+      />
+    </div>
+  );
+}
+
+// Field, operator and value(s) of a single condition
+function QueryRuleEditor({ rule, onChange, onRemove }) {
+  const type = getQueryField(rule.field)?.type;
+  const inputType = INPUT_TYPES[type];
+
+  const changeField = (field) => {
+    const operators = getFieldOperators(field);
+    const sameType = getQueryField(field).type === type;
+
+    onChange(
+      sameType && operators.includes(rule.operator)
+        ? { ...rule, field }
+        : { ...createQueryRule(field), not: rule.not }
+    );
+  };
+
+  const changeOperator = (operator) => {
+    const keepValue =
+      isScalarOperator(operator) && isScalarOperator(rule.operator);
+
+    onChange({
+      ...rule,
+      operator,
+      value: keepValue ? rule.value : getEmptyValue(operator),
+    });
+  };
+
+  const renderValue = () => {
+    if (rule.operator === "between") {
+      return (
+        <div className="flex flex-1 items-center gap-2">
+          {[0, 1].map((index) => (
+            <Input
+              key={index}
+              type={inputType}
+              value={rule.value[index]}
+              onChange={(e) => {
+                const value = [...rule.value];
+                value[index] = e.target.value;
+                onChange({ ...rule, value });
+              }}
+              className="h-8 flex-1"
+              aria-label={index === 0 ? "From" : "To"}
+            />
+          ))}
+        </div>
+      );
+    }
+
+    if (rule.operator === "in") {
+      return (
+        <ValueListInput
+          values={rule.value}
+          onChange={(value) => onChange({ ...rule, value })}
+        />
+      );
+    }
+
+    return (
+      <Input
+        type={inputType}
+        value={rule.value}
+        onChange={(e) => onChange({ ...rule, value: e.target.value })}
+        placeholder="Value"
+        className="h-8 flex-1"
+        aria-label="Value"
+      />
+    );
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <NotToggle
+        active={rule.not}
+        onToggle={() => onChange({ ...rule, not: !rule.not })}
+        label="Negate condition"
+      />
+      <Select value={rule.field} onValueChange={changeField}>
+        <SelectTrigger size="sm" className="w-[130px]" aria-label="Field">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {QUERY_FIELDS.map((field) => (
+            <SelectItem key={field.key} value={field.key}>
+              {field.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select value={rule.operator} onValueChange={changeOperator}>
+        <SelectTrigger size="sm" className="w-[130px]" aria-label="Operator">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {getFieldOperators(rule.field).map((operator) => (
+            <SelectItem key={operator} value={operator}>
+              {QUERY_OPERATORS[operator].label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <div className="flex min-w-[180px] flex-1">{renderValue()}</div>
+      <Button
+        type="button"
+        size="icon"
+        variant="ghost"
+        className="h-8 w-8 shrink-0"
+        onClick={onRemove}
+        aria-label="Remove condition"
+      >
+        <TrashIcon className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
+
+// AND/OR group of conditions and nested groups
+function QueryGroupEditor({ group, onChange, onRemove, depth = 1 }) {
+  const updateChild = (index, child) =>
+    onChange({
+      ...group,
+      rules: group.rules.map((item, i) => (i === index ? child : item)),
+    });
+
+  const removeChild = (index) =>
+    onChange({
+      ...group,
+      rules: group.rules.filter((item, i) => i !== index),
+    });
+
+  const addChild = (child) =>
+    onChange({ ...group, rules: [...group.rules, child] });
+
+  return (
+    <div
+      className={cn(
+        "space-y-2 rounded-md border p-3",
+        depth > 1 && "bg-muted/40"
+      )}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <NotToggle
+          active={group.not}
+          onToggle={() => onChange({ ...group, not: !group.not })}
+          label="Negate group"
+        />
+        <Select
+          value={group.combinator}
+          onValueChange={(combinator) => onChange({ ...group, combinator })}
+        >
+          <SelectTrigger size="sm" className="w-[150px]" aria-label="Match">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="AND">All of (AND)</SelectItem>
+            <SelectItem value="OR">Any of (OR)</SelectItem>
+          </SelectContent>
+        </Select>
+        {onRemove && (
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            className="ml-auto h-8"
+            onClick={onRemove}
+          >
+            <TrashIcon className="h-4 w-4 mr-1" />
+            Remove group
+          </Button>
+        )}
+      </div>
+
+      {group.rules.map((child, index) =>
+        isQueryGroup(child) ? (
+          <QueryGroupEditor
+            key={index}
+            group={child}
+            depth={depth + 1}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        ) : (
+          <QueryRuleEditor
+            key={index}
+            rule={child}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        )
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          onClick={() => addChild(createQueryRule())}
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Condition
+        </Button>
+        {depth < MAX_QUERY_DEPTH && (
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={() => addChild(createQueryGroup())}
+          >
+            <ListTreeIcon className="h-4 w-4 mr-1" />
+            Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Editor for nested AND/OR conditions on any user field. `value` is the
+ * serialized query from the URL; edits stay local until applied, then
+ * `onApply` receives the new serialized query ("" when it is empty).
+ */
+export default function QueryBuilder({ value, onApply, className }) {
+  const [draft, setDraft] = useState(
+    () => parseQuery(value) || createQueryGroup()
+  );
+
+  // Start from the applied query whenever it changes (Back, Clear All)
+  useEffect(() => {
+    setDraft(parseQuery(value) || createQueryGroup());
+  }, [value]);
+
+  const serialized = serializeQuery(draft);
+  const changed = serialized !== (value || "");
+
+  const handleReset = () => {
+    setDraft(createQueryGroup());
+    if (value) onApply("");
+  };
+
+  return (
+    <form
+      className={cn("space-y-3", className)}
+      onSubmit={(e) => {
+        e.preventDefault();
+        onApply(serialized);
+      }}
+    >
+      <QueryGroupEditor group={draft} onChange={setDraft} />
+      <div className="flex justify-end gap-2">
+        <Button type="button" size="sm" variant="ghost" onClick={handleReset}>
+          Reset
+        </Button>
+        <Button type="submit" size="sm" disabled={!changed}>
+          <CheckIcon className="h-4 w-4 mr-1" />
+          Apply Query
+        </Button>
+      </div>
+    </form>
+  );
+}
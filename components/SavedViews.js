@@ -0,0 +1,445 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  BookmarkIcon,
+  BookmarkPlusIcon,
+  StarIcon,
+  Settings2Icon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  TrashIcon,
+  SaveIcon,
+  UploadIcon,
+  DownloadIcon,
+} from "lucide-react";
+import {
+  createView,
+  exportViews,
+  getViewQuery,
+  loadSavedViews,
+  parseImportedViews,
+  saveSavedViews,
+} from "@/lib/savedViews";
+import { downloadBlob } from "@/lib/export";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+
+/**
+ * One-click chips for saved combinations of filters, sort and page size,
+ * with dialogs to save, rename, reorder, delete, import and export them.
+ * The default view is applied when `/users` is opened without params.
+ */
+export default function SavedViews({ className }) {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  const [{ views, defaultViewId }, setSavedViews] = useState({
+    views: [],
+    defaultViewId: null,
+  });
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [manageOpen, setManageOpen] = useState(false);
+  const [viewName, setViewName] = useState("");
+  const [nameError, setNameError] = useState("");
+  const fileInputRef = useRef(null);
+
+  const currentQuery = getViewQuery(searchParams);
+
+  useEffect(() => {
+    const saved = loadSavedViews();
+    setSavedViews(saved);
+
+    // Open the default view when /users is visited without params
+    const defaultView = saved.views.find(
+      (view) => view.id === saved.defaultViewId
+    );
+    if (defaultView && !window.location.search) {
+      router.replace(`${window.location.pathname}?${defaultView.query}`, {
+        scroll: false,
+      });
+    }
+  }, [router]);
+
+  const updateSavedViews = (next) => {
+    setSavedViews(next);
+    saveSavedViews(next);
+  };
+
+  const updateViews = (nextViews) =>
+    updateSavedViews({
+      views: nextViews,
+      defaultViewId: nextViews.some((view) => view.id === defaultViewId)
+        ? defaultViewId
+        : null,
+    });
+
+  const applyView = (view) => {
+    const params = new URLSearchParams(view.query);
+
+    // Keep continuous scrolling on; it is a display mode, not part of a view
+    const mode = searchParams.get("mode");
+    if (mode) {
+      params.set("mode", mode);
+    }
+
+    router.push(`${window.location.pathname}?${params.toString()}`, {
+      scroll: false,
+    });
+  };
+
+  const isNameTaken = (name, exceptId) =>
+    views.some(
+      (view) =>
+        view.id !== exceptId &&
+        view.name.toLowerCase() === name.trim().toLowerCase()
+    );
+
+  const openSaveDialog = () => {
+    setViewName("");
+    setNameError("");
+    setSaveOpen(true);
+  };
+
+  const handleSave = () => {
+    if (!viewName.trim()) {
+      setNameError("Enter a name for this view");
+      return;
+    }
+    if (isNameTaken(viewName)) {
+      setNameError("A view with this name already exists");
+      return;
+    }
+
+    updateViews([...views, createView(viewName, searchParams)]);
+    setSaveOpen(false);
+    toast.success("View saved", {
+      description: `"${viewName.trim()}" was added to your views`,
+    });
+  };
+
+  const renameView = (view, name) => {
+    if (!name.trim() || name.trim() === view.name) return;
+    if (isNameTaken(name, view.id)) {
+      toast.error("A view with this name already exists");
+      return;
+    }
+
+    updateViews(
+      views.map((item) =>
+        item.id === view.id ? { ...item, name: name.trim() } : item
+      )
+    );
+  };
+
+  // Replace a view's filters with the current ones
+  const overwriteView = (view) => {
+    updateViews(
+      views.map((item) =>
+        item.id === view.id ? { ...item, query: currentQuery } : item
+      )
+    );
+    toast.success("View updated", {
+      description: `"${view.name}" now uses the current filters`,
+    });
+  };
+
+  const moveView = (index, offset) => {
+    const nextViews = [...views];
+    const [view] = nextViews.splice(index, 1);
+    nextViews.splice(index + offset, 0, view);
+    updateViews(nextViews);
+  };
+
+  const toggleDefault = (view) =>
+    updateSavedViews({
+      views,
+      defaultViewId: defaultViewId === view.id ? null : view.id,
+    });
+
+  const deleteView = (view) => {
+    const previous = { views, defaultViewId };
+    updateViews(views.filter((item) => item.id !== view.id));
+
+    toast.success("View deleted", {
+      description: `"${view.name}" was removed`,
+      action: {
+        label: "Undo",
+        onClick: () => updateSavedViews(previous),
+      },
+    });
+  };
+
+  const handleExport = () => {
+    downloadBlob(
+      new Blob([exportViews(views)], { type: "application/json" }),
+      "user-views.json"
+    );
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const imported = parseImportedViews(await file.text());
+
+      // Imported names that clash with existing views get a suffix
+      const names = new Set(views.map((view) => view.name.toLowerCase()));
+      const renamed = imported.map((view) => {
+        let name = view.name;
+        for (let copy = 2; names.has(name.toLowerCase()); copy++) {
+          name = `${view.name} (${copy})`;
+        }
+        names.add(name.toLowerCase());
+        return { ...view, name };
+      });
+
+      updateViews([...views, ...renamed]);
+      toast.success(
+        `Imported ${renamed.length} view${renamed.length === 1 ? "" : "s"}`
+      );
+    } catch (error) {
+      console.error("Error importing views:", error);
+      toast.error("Could not import views", {
+        description: error.message || "Make sure it is a views export file",
+      });
+    }
+  };
+
+  return (
+    <>
+      <div className={cn("flex flex-wrap items-center gap-2", className)}>
+        <span className="flex items-center gap-1 text-sm text-muted-foreground">
+          <BookmarkIcon className="h-4 w-4" />
+          Views:
+        </span>
+
+        {views.map((view) => {
+          const active = view.query === currentQuery;
+
+          return (
+            <Button
+              key={view.id}
+              size="sm"
+              variant={active ? "default" : "outline"}
+              className="h-7 rounded-full"
+              onClick={() => applyView(view)}
+              aria-pressed={active}
+            >
+              {view.id === defaultViewId && (
+                <StarIcon className="h-3 w-3 mr-1 fill-current" />
+              )}
+              {view.name}
+            </Button>
+          );
+        })}
+
+        <Button
+          size="sm"
+          variant="ghost"
+          className="h-7"
+          onClick={openSaveDialog}
+        >
+          <BookmarkPlusIcon className="h-4 w-4 mr-1" />
+          Save view
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="h-7"
+          onClick={() => setManageOpen(true)}
+        >
+          <Settings2Icon className="h-4 w-4 mr-1" />
+          Manage
+        </Button>
+      </div>
+
+      {/* Save View Dialog */}
+      <Dialog open={saveOpen} onOpenChange={setSaveOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save View</DialogTitle>
+            <DialogDescription>
+              Save the current filters, sort and page size so you can return to
+              them in one click.
+            </DialogDescription>
+          </DialogHeader>
+
+          <form
+            id="save-view-form"
+            className="space-y-2"
+            onSubmit={(event) => {
+              event.preventDefault();
+              handleSave();
+            }}
+          >
+            <Label htmlFor="view-name">Name</Label>
+            <Input
+              id="view-name"
+              value={viewName}
+              onChange={(event) => {
+                setViewName(event.target.value);
+                setNameError("");
+              }}
+              placeholder="e.g. New signups from Canada"
+              aria-invalid={!!nameError}
+              autoFocus
+            />
+            {nameError && (
+              <p className="text-sm text-destructive">{nameError}</p>
+            )}
+          </form>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSaveOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" form="save-view-form">
+              Save View
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Manage Views Dialog */}
+      <Dialog open={manageOpen} onOpenChange={setManageOpen}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Manage Views</DialogTitle>
+            <DialogDescription>
+              Rename, reorder or delete views. The starred view opens when you
+              visit Users without filters.
+            </DialogDescription>
+          </DialogHeader>
+
+          {views.length === 0 ? (
+            <p className="py-4 text-center text-sm text-muted-foreground">
+              No saved views yet. Save the current filters or import views from
+              a teammate.
+            </p>
+          ) : (
+            <ul className="max-h-80 space-y-2 overflow-y-auto">
+              {views.map((view, index) => (
+                <li key={view.id} className="flex items-center gap-1">
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 shrink-0"
+                    onClick={() => toggleDefault(view)}
+                    aria-pressed={view.id === defaultViewId}
+                    aria-label={
+                      view.id === defaultViewId
+                        ? `Unset ${view.name} as default`
+                        : `Make ${view.name} the default`
+                    }
+                    title="Default view"
+                  >
+                    <StarIcon
+                      className={cn(
+                        "h-4 w-4",
+                        view.id === defaultViewId && "fill-current"
+                      )}
+                    />
+                  </Button>
+                  <Input
+                    // Remount after undo or rename so the field shows the saved name
+                    key={view.name}
+                    defaultValue={view.name}
+                    onBlur={(event) => renameView(view, event.target.value)}
+                    onKeyDown={(event) => {
+                      if (event.key === "Enter") event.currentTarget.blur();
+                    }}
+                    className="h-8"
+                    aria-label={`Name of ${view.name}`}
+                  />
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 shrink-0"
+                    onClick={() => moveView(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${view.name} up`}
+                  >
+                    <ChevronUpIcon className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 shrink-0"
+                    onClick={() => moveView(index, 1)}
+                    disabled={index === views.length - 1}
+                    aria-label={`Move ${view.name} down`}
+                  >
+                    <ChevronDownIcon className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 shrink-0"
+                    onClick={() => overwriteView(view)}
+                    disabled={view.query === currentQuery}
+                    aria-label={`Save current filters to ${view.name}`}
+                    title="Save current filters to this view"
+                  >
+                    <SaveIcon className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 shrink-0 text-destructive"
+                    onClick={() => deleteView(view)}
+                    aria-label={`Delete ${view.name}`}
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <DialogFooter className="sm:justify-between">
+            <div className="flex gap-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={handleImport}
+              />
+              <Button
+                variant="outline"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                <UploadIcon className="h-4 w-4 mr-2" />
+                Import
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleExport}
+                disabled={views.length === 0}
+              >
+                <DownloadIcon className="h-4 w-4 mr-2" />
+                Export
+              </Button>
+            </div>
+            <Button onClick={() => setManageOpen(false)}>Done</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useRouter, useSearchParams } from "next/navigation";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
@@ -12,11 +12,80 @@ import {
   PopoverTrigger,
 } from "@/components/ui/popover";
 import { Badge } from "@/components/ui/badge";
-import { CalendarIcon, SearchIcon, XIcon, FilterIcon } from "lucide-react";
+import {
+  CalendarIcon,
+  SearchIcon,
+  XIcon,
+  FilterIcon,
+  Loader2Icon,
+} from "lucide-react";
 import { format } from "date-fns";
+import QueryBuilder from "@/components/QueryBuilder";
+import CountryFacet from "@/components/CountryFacet";
+import { useUserFacets } from "@/hooks/useUserFacets";
+import { isAdvancedQuerySupported } from "@/lib/api";
+import { parseCalendarDate, toCalendarDate } from "@/lib/dates";
+import { parseValueList, toggleValue } from "@/lib/facets";
+import { describeQuery, parseQuery } from "@/lib/userQuery";
 import { cn } from "@/lib/utils";
 
-export default function SearchFilters({ onFiltersChange, className }) {
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Read filters from URL search params
+const parseFilters = (searchParams) => ({
+  search: searchParams.get("search") || "",
+  name: searchParams.get("name") || "",
+  email: searchParams.get("email") || "",
+  country: searchParams.get("country") || "",
+  // Countries picked in the country facet
+  countries: parseValueList(searchParams.getAll("countries")),
+  // Parse as local calendar dates; new Date("YYYY-MM-DD") is UTC
+  fromDate: parseCalendarDate(searchParams.get("fromDate")),
+  toDate: parseCalendarDate(searchParams.get("toDate")),
+  // Serialized advanced query (lib/userQuery.js)
+  q: searchParams.get("q") || "",
+});
+
+// URL params owned by the filters; sort, page size etc. are left alone
+const FILTER_KEYS = Object.keys(parseFilters(new URLSearchParams()));
+
+// URL search params for the non-empty filters
+const buildFilterParams = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      if (key === "fromDate" || key === "toDate") {
+        // Format dates as YYYY-MM-DD for URL
+        params.set(key, toCalendarDate(value));
+      } else if (Array.isArray(value)) {
+        // One param per value; values may contain commas
+        value.forEach((item) => params.append(key, item));
+      } else if (typeof value === "string" && value.trim()) {
+        params.set(key, value.trim());
+      }
+    }
+  });
+
+  return params;
+};
+
+// Whether a filter value narrows the list
+const isActiveValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value && (typeof value === "string" ? value.trim() : true));
+};
+
+/**
+ * Search box and filters, kept in the URL. Typing is debounced; `searching`
+ * shows the busy indicator while the parent's request is outstanding.
+ */
+export default function SearchFilters({
+  onFiltersChange,
+  searching = false,
+  className,
+}) {
   const router = useRouter();
   const searchParams = useSearchParams();
 
@@ -26,28 +95,29 @@ export default function SearchFilters({ onFiltersChange, className }) {
     name: "",
     email: "",
     country: "",
+    countries: [],
     fromDate: null,
     toDate: null,
+    q: "",
   });
 
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [fromDateOpen, setFromDateOpen] = useState(false);
   const [toDateOpen, setToDateOpen] = useState(false);
 
+  // Typed text waiting for the debounce before it goes to the URL
+  const [pendingSearch, setPendingSearch] = useState(false);
+  const debounceRef = useRef(null);
+  // Set once a typing burst has added its history entry
+  const typingRef = useRef(false);
+
+  // Filters as last written to (or read from) the URL
+  const filterQuery = buildFilterParams(parseFilters(searchParams)).toString();
+  const lastFilterQueryRef = useRef(filterQuery);
+
   // Initialize filters from URL parameters on component mount
   useEffect(() => {
-    const initialFilters = {
-      search: searchParams.get("search") || "",
-      name: searchParams.get("name") || "",
-      email: searchParams.get("email") || "",
-      country: searchParams.get("country") || "",
-      fromDate: searchParams.get("fromDate")
-        ? new Date(searchParams.get("fromDate"))
-        : null,
-      toDate: searchParams.get("toDate")
-        ? new Date(searchParams.get("toDate"))
-        : null,
-    };
+    const initialFilters = parseFilters(searchParams);
 
     setFilters(initialFilters);
 
@@ -56,8 +126,10 @@ export default function SearchFilters({ onFiltersChange, className }) {
       initialFilters.name ||
       initialFilters.email ||
       initialFilters.country ||
+      initialFilters.countries.length ||
       initialFilters.fromDate ||
-      initialFilters.toDate;
+      initialFilters.toDate ||
+      initialFilters.q;
     setShowAdvanced(hasAdvancedFilters);
 
     // Notify parent component
@@ -66,31 +138,57 @@ export default function SearchFilters({ onFiltersChange, className }) {
     }
   }, []);
 
-  // Update URL and notify parent when filters change
-  const updateFiltersAndURL = (newFilters) => {
-    setFilters(newFilters);
+  // Follow the URL when it changes elsewhere (Back/Forward, links)
+  useEffect(() => {
+    if (filterQuery === lastFilterQueryRef.current) return;
 
-    // Create URL search params
-    const params = new URLSearchParams();
-
-    // Add non-empty filters to URL
-    Object.entries(newFilters).forEach(([key, value]) => {
-      if (value) {
-        if (key === "fromDate" || key === "toDate") {
-          // Format dates as YYYY-MM-DD for URL
-          params.set(key, format(value, "yyyy-MM-dd"));
-        } else if (typeof value === "string" && value.trim()) {
-          params.set(key, value.trim());
-        }
-      }
-    });
+    lastFilterQueryRef.current = filterQuery;
+    clearTimeout(debounceRef.current);
+    setPendingSearch(false);
+    typingRef.current = false;
+    setFilters(parseFilters(new URLSearchParams(filterQuery)));
+  }, [filterQuery]);
+
+  // Country counts for the applied filters other than the picked countries
+  const facetParams = new URLSearchParams(filterQuery);
+  facetParams.delete("countries");
+  const {
+    facets,
+    loading: facetsLoading,
+    error: facetsError,
+  } = useUserFacets(Object.fromEntries(facetParams), { enabled: showAdvanced });
+
+  // Whether the backend applies the advanced query; null until known
+  const [querySupported, setQuerySupported] = useState(null);
+  useEffect(() => {
+    isAdvancedQuerySupported().then(setQuerySupported);
+  }, []);
+
+  // Drop a pending search when leaving the page
+  useEffect(() => () => clearTimeout(debounceRef.current), []);
+
+  // Update URL and notify parent; `replace` keeps intermediate typing
+  // states out of the history
+  const updateURL = (newFilters, { replace = false } = {}) => {
+    const filterParams = buildFilterParams(newFilters);
+    lastFilterQueryRef.current = filterParams.toString();
+
+    // Replace only the filters in the current URL (read now, as typing
+    // updates run after a delay)
+    const params = new URLSearchParams(window.location.search);
+    FILTER_KEYS.forEach((key) => params.delete(key));
+    filterParams.forEach((value, key) => params.append(key, value));
 
     // Reset to page 1 when filters change
     params.set("page", "1");
 
     // Update URL without page reload
     const newURL = `${window.location.pathname}?${params.toString()}`;
-    router.push(newURL, { scroll: false });
+    if (replace) {
+      router.replace(newURL, { scroll: false });
+    } else {
+      router.push(newURL, { scroll: false });
+    }
 
     // Notify parent component
     if (onFiltersChange) {
@@ -98,7 +196,17 @@ export default function SearchFilters({ onFiltersChange, className }) {
     }
   };
 
-  // Handle input changes with debouncing for search
+  // Apply filters right away, dropping any pending search
+  const updateFiltersAndURL = (newFilters) => {
+    clearTimeout(debounceRef.current);
+    setPendingSearch(false);
+    typingRef.current = false;
+
+    setFilters(newFilters);
+    updateURL(newFilters);
+  };
+
+  // Handle discrete changes (dates, clear buttons) immediately
   const handleFilterChange = (filterName, value) => {
     const newFilters = {
       ...filters,
@@ -108,6 +216,26 @@ export default function SearchFilters({ onFiltersChange, className }) {
     updateFiltersAndURL(newFilters);
   };
 
+  // Handle typing with debouncing: the first update of a typing burst adds
+  // a history entry and later ones replace it, so Back skips partial words
+  const handleTextFilterChange = (filterName, value) => {
+    const newFilters = {
+      ...filters,
+      [filterName]: value,
+    };
+
+    setFilters(newFilters);
+    setPendingSearch(true);
+    clearTimeout(debounceRef.current);
+    debounceRef.current = setTimeout(() => {
+      setPendingSearch(false);
+      updateURL(newFilters, { replace: typingRef.current });
+      typingRef.current = true;
+    }, SEARCH_DEBOUNCE_MS);
+  };
+
+  const isSearching = pendingSearch || searching;
+
   // Clear all filters
   const clearAllFilters = () => {
     const clearedFilters = {
@@ -115,8 +243,10 @@ export default function SearchFilters({ onFiltersChange, className }) {
       name: "",
       email: "",
       country: "",
+      countries: [],
       fromDate: null,
       toDate: null,
+      q: "",
     };
 
     updateFiltersAndURL(clearedFilters);
@@ -125,18 +255,18 @@ export default function SearchFilters({ onFiltersChange, className }) {
 
   // Clear specific filter
   const clearFilter = (filterName) => {
+    if (filterName === "countries") {
+      handleFilterChange(filterName, []);
+      return;
+    }
     handleFilterChange(filterName, filterName.includes("Date") ? null : "");
   };
 
   // Check if any filters are active
-  const hasActiveFilters = Object.values(filters).some(
-    (value) => value && (typeof value === "string" ? value.trim() : true)
-  );
+  const hasActiveFilters = Object.values(filters).some(isActiveValue);
 
   // Get count of active filters
-  const activeFilterCount = Object.values(filters).filter(
-    (value) => value && (typeof value === "string" ? value.trim() : true)
-  ).length;
+  const activeFilterCount = Object.values(filters).filter(isActiveValue).length;
 
   return (
     <Card className={cn("w-full", className)}>
@@ -177,13 +307,25 @@ export default function SearchFilters({ onFiltersChange, className }) {
       <CardContent className="space-y-4">
         {/* Global Search */}
         <div className="relative">
-          <SearchIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          {isSearching ? (
+            <Loader2Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground animate-spin" />
+          ) : (
+            <SearchIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          )}
           <Input
             placeholder="Search users (name, email, about, country)..."
             value={filters.search}
-            onChange={(e) => handleFilterChange("search", e.target.value)}
+            onChange={(e) => handleTextFilterChange("search", e.target.value)}
+            // A new typing burst starts a new history entry
+            onBlur={() => {
+              typingRef.current = false;
+            }}
             className="pl-10 pr-10"
+            aria-busy={isSearching}
           />
+          <span className="sr-only" aria-live="polite">
+            {isSearching ? "Searching..." : ""}
+          </span>
           {filters.search && (
             <Button
               variant="ghost"
@@ -199,6 +341,17 @@ export default function SearchFilters({ onFiltersChange, className }) {
         {/* Advanced Filters */}
         {showAdvanced && (
           <div className="space-y-4 pt-4 border-t">
+            {/* Country Facet */}
+            <CountryFacet
+              options={facets?.country}
+              selected={filters.countries}
+              onChange={(countries) =>
+                handleFilterChange("countries", countries)
+              }
+              loading={facetsLoading}
+              error={facetsError}
+            />
+
             {/* Date Range Filters */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {/* From Date */}
@@ -303,6 +456,23 @@ export default function SearchFilters({ onFiltersChange, className }) {
                 </Popover>
               </div>
             </div>
+
+            {/* Advanced Query Builder */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Advanced Query</label>
+              {querySupported && (
+                <QueryBuilder
+                  value={filters.q}
+                  onApply={(q) => handleFilterChange("q", q)}
+                />
+              )}
+              {querySupported === false && (
+                <p className="text-sm text-muted-foreground">
+                  The backend does not support advanced queries, so they cannot
+                  be used to filter the list.
+                </p>
+              )}
+            </div>
           </div>
         )}
 
@@ -364,6 +534,46 @@ export default function SearchFilters({ onFiltersChange, className }) {
                 </Button>
               </Badge>
             )}
+            {filters.countries.map((country) => (
+              <Badge key={country} variant="secondary" className="gap-1">
+                Country: {country}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() =>
+                    handleFilterChange(
+                      "countries",
+                      toggleValue(filters.countries, country)
+                    )
+                  }
+                  className="h-4 w-4 p-0 hover:bg-muted ml-1"
+                >
+                  <XIcon className="h-3 w-3" />
+                </Button>
+              </Badge>
+            ))}
+            {filters.q && (
+              <Badge
+                variant={querySupported === false ? "destructive" : "secondary"}
+                className="gap-1 max-w-full whitespace-normal"
+                title={
+                  querySupported === false
+                    ? "The backend does not support advanced queries"
+                    : undefined
+                }
+              >
+                {querySupported === false ? "Query (not applied): " : "Query: "}
+                {describeQuery(parseQuery(filters.q)) || "invalid"}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => clearFilter("q")}
+                  className="h-4 w-4 p-0 hover:bg-muted ml-1"
+                >
+                  <XIcon className="h-3 w-3" />
+                </Button>
+              </Badge>
+            )}
             {filters.fromDate && (
               <Badge variant="secondary" className="gap-1">
                 From: {format(filters.fromDate, "MMM d, yyyy")}
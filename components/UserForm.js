@@ -29,7 +29,25 @@ import {
   ArrowLeftIcon,
 } from "lucide-react";
 import { format } from "date-fns";
-import { createUser, updateUser, formatDateForAPI } from "@/lib/api";
+import {
+  createUser,
+  updateUser,
+  formatDateForAPI,
+  loadRuntimeConfig,
+} from "@/lib/api";
+import {
+  countCharacters,
+  userSchema,
+  validateField,
+  validateUser,
+} from "@/lib/validations";
+import {
+  ApiError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "@/lib/errors";
+import { parseCalendarDate, toCalendarDate } from "@/lib/dates";
 import { cn } from "@/lib/utils";
 
 export default function UserForm({
@@ -58,13 +76,18 @@ export default function UserForm({
   const [calendarOpen, setCalendarOpen] = useState(false);
   const [touched, setTouched] = useState({});
 
+  // Fetch per-deployment validation limits before the user starts typing
+  useEffect(() => {
+    loadRuntimeConfig();
+  }, []);
+
   // Initialize form with user data for edit mode
   useEffect(() => {
     if (isEditMode && user) {
       setFormData({
         name: user.name || "",
         aboutYou: user.aboutYou || "",
-        birthday: user.birthday ? new Date(user.birthday) : null,
+        birthday: parseCalendarDate(user.birthday),
         mobileNumber: user.mobileNumber || "",
         email: user.email || "",
         country: user.country || "",
@@ -72,90 +95,8 @@ export default function UserForm({
     }
   }, [isEditMode, user]);
 
-  // Validation rules matching backend validation
-  const validateField = (name, value) => {
-    switch (name) {
-      case "name":
-        if (!value || value.trim().length < 2) {
-          return "Name is required and must be at least 2 characters";
-        }
-        if (value.length > 50) {
-          return "Name must be 50 characters or less";
-        }
-        if (!/^[a-zA-Z\s]+$/.test(value)) {
-          return "Name should only contain letters and spaces";
-        }
-        return "";
-
-      case "aboutYou":
-        if (!value || value.trim().length < 10) {
-          return "About You is required and must be at least 10 characters";
-        }
-        if (value.length > 250) {
-          return "About You must be 250 characters or less";
-        }
-        return "";
-
-      case "birthday":
-        if (!value) {
-          return "Birthday is required";
-        }
-        if (value > new Date()) {
-          return "Birthday cannot be in the future";
-        }
-        const age = new Date().getFullYear() - value.getFullYear();
-        if (age > 120) {
-          return "Invalid age";
-        }
-        return "";
-
-      case "mobileNumber":
-        if (!value || value.trim().length < 10) {
-          return "Mobile number is required and must be at least 10 characters";
-        }
-        if (!/^[+]?[\d\s\-\(\)]{10,15}$/.test(value)) {
-          return "Invalid mobile number format";
-        }
-        return "";
-
-      case "email":
-        if (!value || value.trim() === "") {
-          return "Email is required";
-        }
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-          return "Invalid email format";
-        }
-        return "";
-
-      case "country":
-        if (!value || value.trim().length < 2) {
-          return "Country is required and must be at least 2 characters";
-        }
-        if (value.length > 20) {
-          return "Country must be 20 characters or less";
-        }
-        if (!/^[a-zA-Z\s]+$/.test(value)) {
-          return "Country should only contain letters and spaces";
-        }
-        return "";
-
-      default:
-        return "";
-    }
-  };
-
   // Validate all fields
-  const validateForm = () => {
-    const newErrors = {};
-    Object.keys(formData).forEach((key) => {
-      const error = validateField(key, formData[key]);
-      if (error) {
-        newErrors[key] = error;
-      }
-    });
-    return newErrors;
-  };
+  const validateForm = () => validateUser(formData);
 
   // Handle input changes
   const handleInputChange = (name, value) => {
@@ -260,22 +201,38 @@ export default function UserForm({
         error
       );
 
-      // Handle server validation errors with specific toasts
-      if (error.message.includes("email already exists")) {
+      // Highlight the exact fields the backend rejected
+      if (error instanceof ApiError && error.hasFieldErrors()) {
         setErrors((prev) => ({
           ...prev,
-          email: "A user with this email already exists",
+          ...error.fieldErrors,
+        }));
+        setTouched((prev) => ({
+          ...prev,
+          ...Object.fromEntries(
+            Object.keys(error.fieldErrors).map((field) => [field, true])
+          ),
         }));
-        toast.error("Email already exists", {
-          description: "A user with this email address is already registered",
+      }
+
+      if (error instanceof ConflictError) {
+        toast.error("User already exists", {
+          description:
+            Object.values(error.fieldErrors)[0] ||
+            error.message ||
+            "A user with these details is already registered",
+        });
+      } else if (error instanceof ValidationError && error.hasFieldErrors()) {
+        toast.error("Please fix the highlighted fields", {
+          description: error.message,
         });
-      } else if (error.message.includes("mobile number")) {
+      } else if (error instanceof NotFoundError) {
         setErrors((prev) => ({
           ...prev,
-          mobileNumber: "A user with this mobile number already exists",
+          general: "This user no longer exists",
         }));
-        toast.error("Mobile number already exists", {
-          description: "A user with this mobile number is already registered",
+        toast.error("User not found", {
+          description: "The user may have been deleted by someone else",
         });
       } else {
         // Generic error
@@ -338,8 +295,7 @@ export default function UserForm({
       formData.email !== (user?.email || "") ||
       formData.mobileNumber !== (user?.mobileNumber || "") ||
       formData.country !== (user?.country || "") ||
-      formatDateForAPI(formData.birthday) !==
-        formatDateForAPI(user?.birthday ? new Date(user.birthday) : null)
+      formatDateForAPI(formData.birthday) !== toCalendarDate(user?.birthday)
     );
   };
 
@@ -429,7 +385,7 @@ export default function UserForm({
                 <p className="text-sm text-red-600">{errors.mobileNumber}</p>
               )}
               <p className="text-xs text-muted-foreground">
-                Include country code if international (e.g., +1234567890)
+                {userSchema.mobileNumber.hint}
               </p>
             </div>
 
@@ -519,7 +475,7 @@ export default function UserForm({
                 About You *
               </label>
               <textarea
-                placeholder="Tell us about yourself (minimum 10 characters)"
+                placeholder={`Tell us about yourself (minimum ${userSchema.aboutYou.minLength} characters)`}
                 value={formData.aboutYou}
                 onChange={(e) => handleInputChange("aboutYou", e.target.value)}
                 onBlur={() => handleBlur("aboutYou")}
@@ -535,7 +491,8 @@ export default function UserForm({
                   <p className="text-sm text-red-600">{errors.aboutYou}</p>
                 )}
                 <p className="text-xs text-muted-foreground ml-auto">
-                  {formData.aboutYou.length}/250 characters
+                  {countCharacters(formData.aboutYou)}/
+                  {userSchema.aboutYou.maxLength} characters
                 </p>
               </div>
             </div>
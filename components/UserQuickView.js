@@ -0,0 +1,233 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  EditIcon,
+  TrashIcon,
+  CopyIcon,
+  ExternalLinkIcon,
+  AlertCircleIcon,
+  CalendarIcon,
+  MailIcon,
+  PhoneIcon,
+  MapPinIcon,
+  InfoIcon,
+  ClockIcon,
+} from "lucide-react";
+import { format } from "date-fns";
+import { getUserById, peekUser, isCancelledRequest } from "@/lib/api";
+import { NotFoundError } from "@/lib/errors";
+import { calculateAge, formatCalendarDate } from "@/lib/dates";
+import { toast } from "sonner";
+
+// Format timestamp for display
+const formatDateTime = (dateString) => {
+  if (!dateString) return "N/A";
+  try {
+    return format(new Date(dateString), "PPP p");
+  } catch (error) {
+    return "Invalid date";
+  }
+};
+
+export default function UserQuickView({
+  userId,
+  fallbackUser,
+  open,
+  onOpenChange,
+  onDelete,
+}) {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The table row is only a placeholder, so it should not trigger refetches
+  const fallbackUserRef = useRef(fallbackUser);
+  fallbackUserRef.current = fallbackUser;
+
+  // Load the full record, starting from the cached copy or the table row
+  useEffect(() => {
+    if (!userId) return;
+
+    const controller = new AbortController();
+    const initial = peekUser(userId) || fallbackUserRef.current || null;
+
+    setUser(initial);
+    setLoading(!initial);
+    setError(null);
+
+    getUserById(userId, { signal: controller.signal })
+      .then((userData) => {
+        if (!controller.signal.aborted) setUser(userData);
+      })
+      .catch((err) => {
+        if (isCancelledRequest(err, controller.signal)) return;
+
+        console.error("Error fetching user:", err);
+        if (err instanceof NotFoundError || !initial) {
+          setUser(null);
+          setError(
+            err instanceof NotFoundError
+              ? "This user no longer exists."
+              : err.message || "Failed to fetch user data"
+          );
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [userId]);
+
+  const handleCopyEmail = async () => {
+    try {
+      await navigator.clipboard.writeText(user.email);
+      toast.success("Email copied to clipboard");
+    } catch (err) {
+      toast.error("Could not copy to clipboard", {
+        description: err.message || "Clipboard access was denied",
+      });
+    }
+  };
+
+  const age = calculateAge(user?.birthday);
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-md overflow-y-auto">
+        <SheetHeader className="pr-10">
+          <SheetTitle className="text-xl">
+            {user?.name || (loading ? "Loading user..." : "User")}
+          </SheetTitle>
+          <SheetDescription className="flex items-center gap-2">
+            {user ? (
+              <Badge variant="outline">ID: {user.id}</Badge>
+            ) : (
+              "User details"
+            )}
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4">
+          {loading ? (
+            <div className="space-y-4">
+              {Array.from({ length: 7 }).map((_, index) => (
+                <Skeleton key={index} className="h-5 w-full" />
+              ))}
+            </div>
+          ) : error ? (
+            <div className="flex items-start gap-2 text-sm text-destructive">
+              <AlertCircleIcon className="h-4 w-4 mt-0.5 shrink-0" />
+              {error}
+            </div>
+          ) : (
+            user && (
+              <dl className="grid grid-cols-[7rem_1fr] gap-x-4 gap-y-4 text-sm">
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <MailIcon className="h-4 w-4" />
+                  Email
+                </dt>
+                <dd className="break-all">
+                  <a href={`mailto:${user.email}`} className="hover:underline">
+                    {user.email}
+                  </a>
+                </dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <PhoneIcon className="h-4 w-4" />
+                  Mobile
+                </dt>
+                <dd>
+                  <a
+                    href={`tel:${user.mobileNumber}`}
+                    className="hover:underline"
+                  >
+                    {user.mobileNumber}
+                  </a>
+                </dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <MapPinIcon className="h-4 w-4" />
+                  Country
+                </dt>
+                <dd>{user.country}</dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <CalendarIcon className="h-4 w-4" />
+                  Birthday
+                </dt>
+                <dd>
+                  {formatCalendarDate(user.birthday, "PPP")}
+                  {age !== null && (
+                    <span className="text-muted-foreground"> ({age})</span>
+                  )}
+                </dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <InfoIcon className="h-4 w-4" />
+                  About
+                </dt>
+                <dd className="whitespace-pre-line">
+                  {user.aboutYou || "N/A"}
+                </dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <ClockIcon className="h-4 w-4" />
+                  Created
+                </dt>
+                <dd>{formatDateTime(user.createdAt)}</dd>
+
+                <dt className="flex items-center gap-2 text-muted-foreground">
+                  <ClockIcon className="h-4 w-4" />
+                  Updated
+                </dt>
+                <dd>{formatDateTime(user.updatedAt || user.createdAt)}</dd>
+              </dl>
+            )
+          )}
+        </div>
+
+        {/* Quick Actions */}
+        {user && !error && (
+          <SheetFooter className="border-t">
+            <div className="grid grid-cols-2 gap-2">
+              <Button asChild>
+                <Link href={`/users/${user.id}/edit`}>
+                  <EditIcon className="h-4 w-4 mr-2" />
+                  Edit
+                </Link>
+              </Button>
+              <Button variant="outline" asChild>
+                <Link href={`/users/${user.id}`}>
+                  <ExternalLinkIcon className="h-4 w-4 mr-2" />
+                  Full profile
+                </Link>
+              </Button>
+              <Button variant="outline" onClick={handleCopyEmail}>
+                <CopyIcon className="h-4 w-4 mr-2" />
+                Copy email
+              </Button>
+              <Button variant="destructive" onClick={() => onDelete?.(user)}>
+                <TrashIcon className="h-4 w-4 mr-2" />
+                Delete
+              </Button>
+            </div>
+          </SheetFooter>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -1,8 +1,9 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useEffect, useLayoutEffect, useRef } from "react";
 import Link from "next/link";
-import { useRouter } from "next/navigation";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useWindowVirtualizer } from "@tanstack/react-virtual";
 import {
   Table,
   TableBody,
@@ -15,6 +16,7 @@ import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Skeleton } from "@/components/ui/skeleton";
+import { Checkbox } from "@/components/ui/checkbox";
 import {
   Dialog,
   DialogContent,
@@ -35,49 +37,468 @@ import {
   MailIcon,
   MapPinIcon,
   InfoIcon,
+  Loader2Icon,
+  PencilIcon,
+  DownloadIcon,
 } from "lucide-react";
 import { format } from "date-fns";
-import { deleteUser } from "@/lib/api";
+import BulkActionBar from "@/components/BulkActionBar";
+import BulkDeleteDialog from "@/components/BulkDeleteDialog";
+import BulkEditDialog from "@/components/BulkEditDialog";
+import ExportDialog from "@/components/ExportDialog";
+import UserQuickView from "@/components/UserQuickView";
+import EditableCell from "@/components/EditableCell";
+import ColumnChooser from "@/components/ColumnChooser";
+import { deleteUser, restoreUser, getAllUsers, updateUser } from "@/lib/api";
+import { runBulk } from "@/lib/bulk";
+import { NetworkError, NotFoundError, TimeoutError } from "@/lib/errors";
+import { calculateAge, formatCalendarDate } from "@/lib/dates";
+import {
+  DEFAULT_COLUMN_LAYOUT,
+  MIN_COLUMN_WIDTH,
+  clearColumnLayout,
+  getVisibleColumns,
+  loadColumnLayout,
+  moveColumn,
+  saveColumnLayout,
+} from "@/lib/userColumns";
+import { DEFAULT_SORT, toggleSortField } from "@/lib/sort";
+import { useMediaQuery } from "@/hooks/useMediaQuery";
 import { cn } from "@/lib/utils";
 import { toast } from "sonner";
 
+// Fixed widths (px) of the selection and actions columns
+const SELECT_COLUMN_WIDTH = 40;
+const ACTIONS_COLUMN_WIDTH = 112;
+
+// Estimated heights (px) of a table row and a mobile card until measured
+const ROW_HEIGHT = 53;
+const CARD_HEIGHT = 340;
+
+// Continuous mode starts loading the next page this many rows from the end
+const LOAD_MORE_THRESHOLD = 20;
+
+const CELL_CLASS_NAMES = {
+  name: "font-medium",
+  createdAt: "text-muted-foreground",
+  updatedAt: "text-muted-foreground",
+};
+
 export default function UserTable({
   users = [],
   loading = false,
   pagination = {},
-  sortBy = "createdAt",
-  sortOrder = "DESC",
+  filters = {},
+  sort = DEFAULT_SORT,
   onSort,
   onUserDeleted,
+  onUserRestored,
+  onUsersUpdated,
+  continuous = false,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  onVisibleRangeChange,
   className,
 }) {
   const router = useRouter();
+  const searchParams = useSearchParams();
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [userToDelete, setUserToDelete] = useState(null);
-  const [deleting, setDeleting] = useState(false);
+  // Rows removed optimistically while their delete request is in flight
+  const [hiddenUserIds, setHiddenUserIds] = useState([]);
 
-  // Handle sort column click
-  const handleSort = (column) => {
-    if (!onSort) return;
+  // Inline edits shown before the server confirms them, by user id
+  const [pendingEdits, setPendingEdits] = useState({});
+
+  // Fresh data from the server replaces any optimistic edits
+  useEffect(() => {
+    setPendingEdits({});
+  }, [users]);
+
+  const visibleUsers = users
+    .filter((user) => !hiddenUserIds.includes(user.id))
+    .map((user) =>
+      pendingEdits[user.id] ? { ...user, ...pendingEdits[user.id] } : user
+    );
+
+  const hideUser = (id) => setHiddenUserIds((prev) => [...prev, id]);
+  const showUser = (id) =>
+    setHiddenUserIds((prev) => prev.filter((hiddenId) => hiddenId !== id));
+
+  // Selected rows by id (kept across pages), or every user matching filters
+  const [selectedUsers, setSelectedUsers] = useState({});
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [resolvingSelection, setResolvingSelection] = useState(false);
+  const [bulkDeleteOpen, setBulkDeleteOpen] = useState(false);
+  const [bulkDeleteUsers, setBulkDeleteUsers] = useState([]);
+  const [bulkEditOpen, setBulkEditOpen] = useState(false);
+  const [bulkEditUsers, setBulkEditUsers] = useState([]);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const selectedCount = Object.keys(selectedUsers).length;
+  const isSelected = (user) => allMatchingSelected || !!selectedUsers[user.id];
+  const pageSelectedCount = visibleUsers.filter(isSelected).length;
+  const pageFullySelected =
+    visibleUsers.length > 0 && pageSelectedCount === visibleUsers.length;
+
+  const clearSelection = () => {
+    setSelectedUsers({});
+    setAllMatchingSelected(false);
+  };
+
+  // A selection only makes sense for the filters it was made with
+  const filtersKey = JSON.stringify(filters);
+  useEffect(() => {
+    setSelectedUsers({});
+    setAllMatchingSelected(false);
+  }, [filtersKey]);
+
+  const deselectUsers = (ids) =>
+    setSelectedUsers((prev) => {
+      const next = { ...prev };
+      ids.forEach((id) => delete next[id]);
+      return next;
+    });
+
+  const toggleUser = (user, checked) => {
+    // Leaving "all matching" keeps the rest of this page selected
+    if (allMatchingSelected) {
+      setAllMatchingSelected(false);
+      setSelectedUsers(
+        Object.fromEntries(
+          visibleUsers
+            .filter((item) => item.id !== user.id)
+            .map((item) => [item.id, item])
+        )
+      );
+      return;
+    }
+
+    setSelectedUsers((prev) => {
+      const next = { ...prev };
+      if (checked) {
+        next[user.id] = user;
+      } else {
+        delete next[user.id];
+      }
+      return next;
+    });
+  };
+
+  const togglePage = (checked) => {
+    if (!checked) {
+      setAllMatchingSelected(false);
+      deselectUsers(visibleUsers.map((user) => user.id));
+      return;
+    }
+
+    setSelectedUsers((prev) => ({
+      ...prev,
+      ...Object.fromEntries(visibleUsers.map((user) => [user.id, user])),
+    }));
+  };
+
+  // The quick-view user lives in the URL so it survives reload and back
+  const quickViewId = parseInt(searchParams.get("view")) || null;
+  const quickViewUser = users.find((user) => user.id === quickViewId);
+
+  const setQuickView = (id) => {
+    const params = new URLSearchParams(searchParams.toString());
+    if (id) {
+      params.set("view", id);
+    } else {
+      params.delete("view");
+    }
+
+    // Opening adds a history entry, so Back closes the drawer again
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}`;
+    if (id) {
+      router.push(url, { scroll: false });
+    } else {
+      router.replace(url, { scroll: false });
+    }
+  };
+
+  // Open the quick view unless the click was on a control inside the row.
+  // Waits briefly so a double-click can start an inline edit instead.
+  const rowClickTimerRef = useRef(null);
+
+  const handleRowClick = (event, user) => {
+    if (event.target.closest("a, button, input, label")) return;
+
+    clearTimeout(rowClickTimerRef.current);
+    if (event.detail > 1) return;
+    rowClickTimerRef.current = setTimeout(() => setQuickView(user.id), 250);
+  };
+
+  const handleRowDoubleClick = () => clearTimeout(rowClickTimerRef.current);
+
+  useEffect(() => () => clearTimeout(rowClickTimerRef.current), []);
+
+  // Save one inline-edited field, rolling back if the server rejects it
+  const saveCell = async (user, field, value) => {
+    const previous = user[field];
+    const setEdit = (fieldValue) =>
+      setPendingEdits((prev) => ({
+        ...prev,
+        [user.id]: { ...prev[user.id], [field]: fieldValue },
+      }));
+
+    setEdit(value);
+
+    try {
+      const saved = await updateUser(user.id, { [field]: value });
+      // The parent merges the saved user into its rows; no refetch needed
+      onUsersUpdated?.([saved || { ...user, [field]: value }]);
+    } catch (err) {
+      setEdit(previous);
+      toast.error(`Failed to update ${user.name}`, {
+        description:
+          err.fieldErrors?.[field] || err.message || "The change was rejected",
+      });
+      throw err;
+    }
+  };
+
+  // Render a desktop cell that can be edited in place
+  const renderEditableCell = (user, field, display) => (
+    <EditableCell
+      field={field}
+      value={user[field]}
+      onSave={(value) => saveCell(user, field, value)}
+    >
+      {display}
+    </EditableCell>
+  );
+
+  const handleRowKeyDown = (event, user) => {
+    if (event.key === "Enter" && event.target === event.currentTarget) {
+      setQuickView(user.id);
+    }
+  };
+
+  // Continuous mode only renders the rows near the viewport, in whichever
+  // layout (table or cards) is on screen
+  const isDesktop = useMediaQuery("(min-width: 768px)");
+  const listRef = useRef(null);
+  const [listOffset, setListOffset] = useState(0);
+
+  // Where the list starts on the page, for the window virtualizer. Content
+  // above it (filters, bulk bar, errors) can change height at any time.
+  useLayoutEffect(() => {
+    if (!continuous) return;
+
+    const updateOffset = () => {
+      if (!listRef.current) return;
+      setListOffset(
+        Math.round(listRef.current.getBoundingClientRect().top + window.scrollY)
+      );
+    };
+
+    updateOffset();
+    const observer = new ResizeObserver(updateOffset);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [continuous, isDesktop]);
+
+  const virtualizer = useWindowVirtualizer({
+    count: continuous ? visibleUsers.length : 0,
+    estimateSize: () => (isDesktop ? ROW_HEIGHT : CARD_HEIGHT),
+    getItemKey: (index) => visibleUsers[index]?.id ?? index,
+    overscan: 10,
+    scrollMargin: listOffset,
+  });
 
-    let newOrder = "DESC";
-    if (sortBy === column) {
-      // Toggle sort order if same column
-      newOrder = sortOrder === "DESC" ? "ASC" : "DESC";
+  // Rows and cards have different sizes
+  useEffect(() => {
+    virtualizer.measure();
+  }, [virtualizer, isDesktop]);
+
+  const virtualItems = virtualizer.getVirtualItems();
+  const renderedUsers = continuous
+    ? virtualItems.map((item) => ({
+        user: visibleUsers[item.index],
+        index: item.index,
+      }))
+    : visibleUsers.map((user, index) => ({ user, index }));
+  const showDesktopRows = !continuous || isDesktop;
+  const showMobileCards = !continuous || !isDesktop;
+
+  // Space taken by the rows above and below the rendered window
+  const paddingTop = virtualItems.length
+    ? virtualItems[0].start - listOffset
+    : 0;
+  const paddingBottom = virtualItems.length
+    ? virtualizer.getTotalSize() - (virtualItems.at(-1).end - listOffset)
+    : 0;
+
+  // Tell the parent which rows are on screen, so refreshes can be limited
+  // to them
+  const firstRenderedIndex = virtualItems[0]?.index ?? -1;
+  const lastRenderedIndex = virtualItems.at(-1)?.index ?? -1;
+  useEffect(() => {
+    if (continuous && lastRenderedIndex >= 0) {
+      onVisibleRangeChange?.(firstRenderedIndex, lastRenderedIndex);
+    }
+  }, [continuous, firstRenderedIndex, lastRenderedIndex, onVisibleRangeChange]);
+
+  // Load the next page when nearing the end of what is loaded
+  useEffect(() => {
+    if (
+      continuous &&
+      hasMore &&
+      !loadingMore &&
+      lastRenderedIndex >= visibleUsers.length - LOAD_MORE_THRESHOLD
+    ) {
+      onLoadMore?.();
+    }
+  }, [
+    continuous,
+    hasMore,
+    loadingMore,
+    lastRenderedIndex,
+    visibleUsers.length,
+    onLoadMore,
+  ]);
+
+  // Column visibility, order and widths, saved per browser
+  const [columnLayout, setColumnLayout] = useState(DEFAULT_COLUMN_LAYOUT);
+  const [draggedColumn, setDraggedColumn] = useState(null);
+  const [dropTargetColumn, setDropTargetColumn] = useState(null);
+  const [resizingColumn, setResizingColumn] = useState(null);
+  const resizeRef = useRef(null);
+
+  // localStorage is only available after hydration
+  useEffect(() => {
+    setColumnLayout(loadColumnLayout());
+  }, []);
+
+  const visibleColumns = getVisibleColumns(columnLayout);
+  const tableWidth =
+    SELECT_COLUMN_WIDTH +
+    ACTIONS_COLUMN_WIDTH +
+    visibleColumns.reduce((total, column) => total + column.width, 0);
+
+  const updateColumnLayout = (layout) => {
+    setColumnLayout(layout);
+    saveColumnLayout(layout);
+  };
+
+  const resetColumnLayout = () => {
+    setColumnLayout(DEFAULT_COLUMN_LAYOUT);
+    clearColumnLayout();
+  };
+
+  const handleColumnDrop = (targetKey) => {
+    if (draggedColumn) {
+      updateColumnLayout(moveColumn(columnLayout, draggedColumn, targetKey));
     }
+    setDraggedColumn(null);
+    setDropTargetColumn(null);
+  };
+
+  // Drag the handle on a header's right edge to resize the column
+  const startResize = (event, column) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    resizeRef.current = {
+      key: column.key,
+      startX: event.clientX,
+      startWidth: column.width,
+    };
+    setResizingColumn(column.key);
+  };
+
+  const handleResizeMove = (event) => {
+    const resize = resizeRef.current;
+    if (!resize) return;
+
+    const width = Math.max(
+      MIN_COLUMN_WIDTH,
+      Math.round(resize.startWidth + event.clientX - resize.startX)
+    );
+    setColumnLayout((prev) => ({
+      ...prev,
+      widths: { ...prev.widths, [resize.key]: width },
+    }));
+  };
 
-    onSort(column, newOrder);
+  // Only the final width is saved, not every pointer move
+  const endResize = () => {
+    if (!resizeRef.current) return;
+    resizeRef.current = null;
+    setResizingColumn(null);
+    saveColumnLayout(columnLayout);
+  };
+
+  const resetColumnWidth = (key) => {
+    const { [key]: _removed, ...widths } = columnLayout.widths;
+    updateColumnLayout({ ...columnLayout, widths });
+  };
+
+  // Content of a desktop cell for one of the layout's columns
+  const renderCell = (user, column) => {
+    switch (column.key) {
+      case "name":
+        return renderEditableCell(
+          user,
+          "name",
+          <Link href={`/users/${user.id}`} className="hover:underline">
+            {user.name}
+          </Link>
+        );
+      case "birthday":
+        return renderEditableCell(
+          user,
+          "birthday",
+          formatBirthday(user.birthday)
+        );
+      case "age":
+        return calculateAge(user.birthday) ?? "N/A";
+      case "aboutYou":
+        return (
+          <span className="text-sm text-muted-foreground" title={user.aboutYou}>
+            {user.aboutYou || "N/A"}
+          </span>
+        );
+      case "createdAt":
+        return formatDate(user.createdAt);
+      case "updatedAt":
+        return formatDate(user.updatedAt || user.createdAt);
+      default:
+        return column.editable
+          ? renderEditableCell(user, column.key, user[column.key])
+          : user[column.key];
+    }
   };
 
-  // Get sort icon for column
+  // Handle sort column click; shift-click adds a secondary sort key
+  const handleSort = (column, event) => {
+    if (!onSort) return;
+    onSort(toggleSortField(sort, column, { additive: event.shiftKey }));
+  };
+
+  // Get sort icon for column, numbered by priority when sorting by several
   const getSortIcon = (column) => {
-    if (sortBy !== column) {
+    const index = sort.findIndex((key) => key.field === column);
+    if (index === -1) {
       return <ArrowUpDownIcon className="h-4 w-4 opacity-50" />;
     }
-    return sortOrder === "ASC" ? (
-      <ArrowUpIcon className="h-4 w-4" />
-    ) : (
-      <ArrowDownIcon className="h-4 w-4" />
+
+    return (
+      <span className="flex items-center">
+        {sort[index].order === "ASC" ? (
+          <ArrowUpIcon className="h-4 w-4" />
+        ) : (
+          <ArrowDownIcon className="h-4 w-4" />
+        )}
+        {sort.length > 1 && (
+          <span className="text-xs text-muted-foreground">{index + 1}</span>
+        )}
+      </span>
     );
   };
 
@@ -87,40 +508,196 @@ export default function UserTable({
     setDeleteDialogOpen(true);
   };
 
-  const confirmDelete = async () => {
-  if (!userToDelete) return;
+  // Hide the row right away, then delete in the background
+  const deleteWithUndo = async (user) => {
+    hideUser(user.id);
+    deselectUsers([user.id]);
 
-  setDeleting(true);
-  try {
-    await deleteUser(userToDelete.id);
+    try {
+      await deleteUser(user.id);
 
-    // Success toast
-    toast.success("User deleted successfully", {
-      description: `${userToDelete.name} has been removed from the system`,
-    });
+      // Success toast with undo - the user is only moved to the trash
+      toast.success("User moved to trash", {
+        description: `${user.name} can be restored from Trash`,
+        action: {
+          label: "Undo",
+          onClick: () => undoDelete(user),
+        },
+      });
+
+      // Notify parent component
+      if (onUserDeleted) {
+        onUserDeleted(user.id);
+      }
+    } catch (error) {
+      console.error("Error deleting user:", error);
+
+      // Already gone - treat as deleted and refresh the list
+      if (error instanceof NotFoundError) {
+        toast.info("User was already deleted", {
+          description: `${user.name} no longer exists`,
+        });
+        if (onUserDeleted) {
+          onUserDeleted(user.id);
+        }
+        return;
+      }
+
+      // Roll back the optimistic removal
+      showUser(user.id);
+
+      const isConnectionIssue =
+        error instanceof NetworkError || error instanceof TimeoutError;
+
+      const title = isConnectionIssue
+        ? "Connection problem"
+        : "Failed to delete user";
+
+      // Error toast instead of alert
+      toast.error(title, {
+        description: error.message || "An unexpected error occurred",
+        action: {
+          label: "Try again",
+          onClick: () => deleteWithUndo(user),
+        },
+      });
+    }
+  };
+
+  // Bring a just-deleted user back from the trash
+  const undoDelete = async (user) => {
+    try {
+      await restoreUser(user.id);
+      showUser(user.id);
+
+      toast.success("User restored", {
+        description: `${user.name} has been restored`,
+      });
+
+      if (onUserRestored) {
+        onUserRestored(user.id);
+      }
+    } catch (error) {
+      console.error("Error restoring user:", error);
+      toast.error("Failed to restore user", {
+        description: error.message || "An unexpected error occurred",
+        action: {
+          label: "Open Trash",
+          onClick: () => router.push("/users/trash"),
+        },
+      });
+    }
+  };
+
+  // Resolve the selection to users, fetching every match if needed.
+  // Returns null when the matching users could not be loaded.
+  const resolveSelectedUsers = async () => {
+    if (!allMatchingSelected) return Object.values(selectedUsers);
+
+    setResolvingSelection(true);
+    try {
+      const matchingUsers = await getAllUsers(filters, { sort });
+      return matchingUsers.filter((user) => !hiddenUserIds.includes(user.id));
+    } catch (error) {
+      toast.error("Failed to load selected users", {
+        description: error.message || "An unexpected error occurred",
+      });
+      return null;
+    } finally {
+      setResolvingSelection(false);
+    }
+  };
+
+  const handleBulkDeleteClick = async () => {
+    const selected = await resolveSelectedUsers();
+    if (!selected) return;
+
+    setBulkDeleteUsers(selected);
+    setBulkDeleteOpen(true);
+  };
+
+  const handleBulkEditClick = async () => {
+    const selected = await resolveSelectedUsers();
+    if (!selected) return;
+
+    setBulkEditUsers(selected);
+    setBulkEditOpen(true);
+  };
+
+  // Keep failed users selected so they can be retried later
+  const handleBulkDeleteComplete = (deletedUsers, failures) => {
+    setAllMatchingSelected(false);
+    setSelectedUsers(
+      Object.fromEntries(failures.map(({ item }) => [item.id, item]))
+    );
+
+    if (deletedUsers.length === 0) return;
+
+    toast.success(
+      `${deletedUsers.length} ${
+        deletedUsers.length === 1 ? "user" : "users"
+      } moved to trash`,
+      {
+        description: "They can be restored from Trash",
+        action: {
+          label: "Undo",
+          onClick: () => undoBulkDelete(deletedUsers),
+        },
+      }
+    );
 
-    // Notify parent component
     if (onUserDeleted) {
-      onUserDeleted(userToDelete.id);
+      onUserDeleted(deletedUsers.map((user) => user.id));
+    }
+  };
+
+  // Keep failed users selected; hand the saved users to the parent
+  const handleBulkEditComplete = (updatedUsers, failures) => {
+    setAllMatchingSelected(false);
+    setSelectedUsers(
+      Object.fromEntries(failures.map(({ item }) => [item.id, item]))
+    );
+
+    if (updatedUsers.length > 0 && onUsersUpdated) {
+      onUsersUpdated(updatedUsers);
+    }
+  };
+
+  // Bring a whole bulk delete back from the trash
+  const undoBulkDelete = async (deletedUsers) => {
+    const { succeeded, failed } = await runBulk(deletedUsers, (user) =>
+      restoreUser(user.id)
+    );
+
+    if (failed.length > 0) {
+      toast.error(
+        `Failed to restore ${failed.length} of ${deletedUsers.length} users`,
+        {
+          description:
+            failed[0].error.message || "An unexpected error occurred",
+          action: {
+            label: "Open Trash",
+            onClick: () => router.push("/users/trash"),
+          },
+        }
+      );
+    } else {
+      toast.success(`${succeeded.length} users restored`);
+    }
+
+    if (succeeded.length > 0 && onUserRestored) {
+      onUserRestored(succeeded.map(({ item }) => item.id));
     }
+  };
 
+  const confirmDelete = () => {
+    if (!userToDelete) return;
+
+    const user = userToDelete;
     setDeleteDialogOpen(false);
     setUserToDelete(null);
-  } catch (error) {
-    console.error("Error deleting user:", error);
-    
-    // Error toast instead of alert
-    toast.error("Failed to delete user", {
-      description: error.message || "An unexpected error occurred",
-      action: {
-        label: "Try again",
-        onClick: () => confirmDelete(),
-      },
-    });
-  } finally {
-    setDeleting(false);
-  }
-};
+    deleteWithUndo(user);
+  };
 
   // Format date for display
   const formatDate = (dateString) => {
@@ -132,15 +709,8 @@ export default function UserTable({
     }
   };
 
-  // Format birthday
-  const formatBirthday = (dateString) => {
-    if (!dateString) return "N/A";
-    try {
-      return format(new Date(dateString), "MMM d, yyyy");
-    } catch (error) {
-      return "Invalid date";
-    }
-  };
+  // Format birthday as a calendar date, independent of the timezone
+  const formatBirthday = (dateString) => formatCalendarDate(dateString);
 
   // Truncate text for mobile view
   const truncateText = (text, maxLength = 50) => {
@@ -153,30 +723,67 @@ export default function UserTable({
   const SkeletonRow = () => (
     <TableRow>
       <TableCell>
-        <Skeleton className="h-4 w-32" />
-      </TableCell>
-      <TableCell>
-        <Skeleton className="h-4 w-48" />
-      </TableCell>
-      <TableCell>
-        <Skeleton className="h-4 w-40" />
-      </TableCell>
-      <TableCell>
-        <Skeleton className="h-4 w-28" />
+        <Skeleton className="h-4 w-4" />
       </TableCell>
+      {visibleColumns.map((column) => (
+        <TableCell key={column.key}>
+          <Skeleton className="h-4 w-3/4" />
+        </TableCell>
+      ))}
       <TableCell>
-        <Skeleton className="h-4 w-32" />
-      </TableCell>
-      <TableCell>
-        <Skeleton className="h-4 w-24" />
+        <div className="flex gap-2">
+          <Skeleton className="h-8 w-10" />
+          <Skeleton className="h-8 w-10" />
+        </div>
       </TableCell>
+    </TableRow>
+  );
+
+  // Desktop table row
+  const renderDesktopRow = (user, index) => (
+    <TableRow
+      key={user.id}
+      data-index={index}
+      ref={continuous ? virtualizer.measureElement : undefined}
+      className="hover:bg-muted/50 cursor-pointer"
+      data-state={isSelected(user) ? "selected" : undefined}
+      tabIndex={0}
+      onClick={(event) => handleRowClick(event, user)}
+      onDoubleClick={handleRowDoubleClick}
+      onKeyDown={(event) => handleRowKeyDown(event, user)}
+    >
       <TableCell>
-        <Skeleton className="h-4 w-28" />
+        <Checkbox
+          checked={isSelected(user)}
+          onCheckedChange={(checked) => toggleUser(user, checked)}
+          aria-label={`Select ${user.name}`}
+        />
       </TableCell>
-      <TableCell>
-        <div className="flex gap-2">
-          <Skeleton className="h-8 w-16" />
-          <Skeleton className="h-8 w-16" />
+      {visibleColumns.map((column) => (
+        <TableCell
+          key={column.key}
+          className={cn(
+            "overflow-hidden text-ellipsis",
+            CELL_CLASS_NAMES[column.key]
+          )}
+        >
+          {renderCell(user, column)}
+        </TableCell>
+      ))}
+      <TableCell className="text-right">
+        <div className="flex gap-2 justify-end">
+          <Button size="sm" variant="outline" asChild>
+            <Link href={`/users/${user.id}/edit`}>
+              <EditIcon className="h-4 w-4" />
+            </Link>
+          </Button>
+          <Button
+            size="sm"
+            variant="destructive"
+            onClick={() => handleDeleteClick(user)}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </Button>
         </div>
       </TableCell>
     </TableRow>
@@ -184,12 +791,23 @@ export default function UserTable({
 
   // Mobile card view for responsive design
   const MobileCard = ({ user }) => (
-    <Card key={user.id} className="mb-4 md:hidden">
+    <Card
+      key={user.id}
+      className="mb-4 md:hidden cursor-pointer"
+      onClick={(event) => handleRowClick(event, user)}
+    >
       <CardHeader className="pb-3">
         <div className="flex items-center justify-between">
           <CardTitle className="text-lg flex items-center gap-2">
+            <Checkbox
+              checked={isSelected(user)}
+              onCheckedChange={(checked) => toggleUser(user, checked)}
+              aria-label={`Select ${user.name}`}
+            />
             <UserIcon className="h-5 w-5" />
-            {user.name}
+            <Link href={`/users/${user.id}`} className="hover:underline">
+              {user.name}
+            </Link>
           </CardTitle>
           <Badge variant="outline" className="text-xs">
             ID: {user.id}
@@ -258,9 +876,86 @@ export default function UserTable({
 
   return (
     <>
-      <div className={cn("w-full", className)}>
+      <div className={cn("w-full space-y-4", className)}>
+        {/* Table Toolbar */}
+        <div className="flex justify-end gap-2">
+          <div className="hidden md:block">
+            <ColumnChooser
+              layout={columnLayout}
+              onChange={updateColumnLayout}
+              onReset={resetColumnLayout}
+            />
+          </div>
+
+          {/* Export (moves into the bulk action bar while rows are selected) */}
+          {selectedCount === 0 && !allMatchingSelected && (
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => setExportOpen(true)}
+              disabled={loading}
+            >
+              <DownloadIcon className="h-4 w-4 mr-2" />
+              Export
+            </Button>
+          )}
+        </div>
+
+        {/* Bulk Actions */}
+        <BulkActionBar
+          selectedCount={selectedCount}
+          totalItems={pagination.totalItems || 0}
+          pageFullySelected={pageFullySelected}
+          allMatchingSelected={allMatchingSelected}
+          onSelectAllMatching={() => setAllMatchingSelected(true)}
+          onClearSelection={clearSelection}
+        >
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setExportOpen(true)}
+          >
+            <DownloadIcon className="h-4 w-4 mr-2" />
+            Export
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleBulkEditClick}
+            disabled={resolvingSelection}
+          >
+            <PencilIcon className="h-4 w-4 mr-2" />
+            Edit selected
+          </Button>
+          <Button
+            size="sm"
+            variant="destructive"
+            onClick={handleBulkDeleteClick}
+            disabled={resolvingSelection}
+          >
+            {resolvingSelection ? (
+              <Loader2Icon className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <TrashIcon className="h-4 w-4 mr-2" />
+            )}
+            Delete selected
+          </Button>
+        </BulkActionBar>
+
         {/* Mobile Cards View */}
         <div className="md:hidden">
+          {!loading && visibleUsers.length > 0 && (
+            <label className="mb-3 flex items-center gap-2 px-1 text-sm text-muted-foreground">
+              <Checkbox
+                checked={pageFullySelected}
+                indeterminate={pageSelectedCount > 0}
+                onCheckedChange={togglePage}
+              />
+              {continuous
+                ? "Select all loaded users"
+                : "Select all on this page"}
+            </label>
+          )}
           {loading ? (
             // Mobile loading skeletons
             Array.from({ length: 3 }).map((_, index) => (
@@ -275,7 +970,7 @@ export default function UserTable({
                 </CardContent>
               </Card>
             ))
-          ) : users.length === 0 ? (
+          ) : visibleUsers.length === 0 ? (
             <Card>
               <CardContent className="pt-6 text-center">
                 <UserIcon className="mx-auto h-12 w-12 text-muted-foreground mb-4" />
@@ -288,75 +983,126 @@ export default function UserTable({
               </CardContent>
             </Card>
           ) : (
-            users.map((user) => <MobileCard key={user.id} user={user} />)
+            <div
+              style={{ paddingTop, paddingBottom }}
+              ref={isDesktop ? undefined : listRef}
+            >
+              {showMobileCards &&
+                renderedUsers.map(({ user, index }) => (
+                  // flow-root keeps the card margin inside the measured box
+                  <div
+                    key={user.id}
+                    data-index={index}
+                    ref={continuous ? virtualizer.measureElement : undefined}
+                    className="flow-root"
+                  >
+                    <MobileCard user={user} />
+                  </div>
+                ))}
+            </div>
           )}
         </div>
 
         {/* Desktop Table View */}
         <div className="hidden md:block">
           <div className="rounded-md border">
-            <Table>
+            <Table className="table-fixed" style={{ minWidth: tableWidth }}>
               <TableHeader>
                 <TableRow>
-                  <TableHead
-                    className="cursor-pointer hover:bg-muted/50 select-none"
-                    onClick={() => handleSort("name")}
-                  >
-                    <div className="flex items-center gap-1">
-                      Name
-                      {getSortIcon("name")}
-                    </div>
+                  <TableHead style={{ width: SELECT_COLUMN_WIDTH }}>
+                    <Checkbox
+                      checked={pageFullySelected}
+                      indeterminate={pageSelectedCount > 0}
+                      onCheckedChange={togglePage}
+                      disabled={loading || visibleUsers.length === 0}
+                      aria-label="Select all on this page"
+                    />
                   </TableHead>
+                  {visibleColumns.map((column) => (
+                    <TableHead
+                      key={column.key}
+                      style={{ width: column.width }}
+                      className={cn(
+                        "relative select-none",
+                        column.sortKey && "cursor-pointer hover:bg-muted/50",
+                        draggedColumn === column.key && "opacity-50",
+                        dropTargetColumn === column.key &&
+                          draggedColumn !== column.key &&
+                          "bg-muted"
+                      )}
+                      onClick={
+                        column.sortKey
+                          ? (event) => handleSort(column.sortKey, event)
+                          : undefined
+                      }
+                      title={
+                        column.sortKey
+                          ? "Click to sort, shift-click to add a secondary sort"
+                          : undefined
+                      }
+                      // Drag a header onto another one to reorder columns
+                      draggable={!resizingColumn}
+                      onDragStart={(event) => {
+                        event.dataTransfer.effectAllowed = "move";
+                        event.dataTransfer.setData("text/plain", column.key);
+                        setDraggedColumn(column.key);
+                      }}
+                      onDragOver={(event) => {
+                        if (!draggedColumn) return;
+                        event.preventDefault();
+                        setDropTargetColumn(column.key);
+                      }}
+                      onDrop={(event) => {
+                        event.preventDefault();
+                        handleColumnDrop(column.key);
+                      }}
+                      onDragEnd={() => {
+                        setDraggedColumn(null);
+                        setDropTargetColumn(null);
+                      }}
+                    >
+                      <div className="flex items-center gap-1">
+                        <span className="truncate">{column.label}</span>
+                        {column.sortKey && getSortIcon(column.sortKey)}
+                      </div>
+                      <div
+                        role="separator"
+                        aria-orientation="vertical"
+                        aria-label={`Resize ${column.label} column`}
+                        title="Drag to resize, double-click to reset"
+                        className={cn(
+                          "absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-border",
+                          resizingColumn === column.key && "bg-border"
+                        )}
+                        onPointerDown={(event) => startResize(event, column)}
+                        onPointerMove={handleResizeMove}
+                        onPointerUp={endResize}
+                        onPointerCancel={endResize}
+                        onClick={(event) => event.stopPropagation()}
+                        onDoubleClick={() => resetColumnWidth(column.key)}
+                      />
+                    </TableHead>
+                  ))}
                   <TableHead
-                    className="cursor-pointer hover:bg-muted/50 select-none"
-                    onClick={() => handleSort("email")}
+                    className="text-right"
+                    style={{ width: ACTIONS_COLUMN_WIDTH }}
                   >
-                    <div className="flex items-center gap-1">
-                      Email
-                      {getSortIcon("email")}
-                    </div>
+                    Actions
                   </TableHead>
-                  <TableHead>About</TableHead>
-                  <TableHead
-                    className="cursor-pointer hover:bg-muted/50 select-none"
-                    onClick={() => handleSort("birthday")}
-                  >
-                    <div className="flex items-center gap-1">
-                      Birthday
-                      {getSortIcon("birthday")}
-                    </div>
-                  </TableHead>
-                  <TableHead>Mobile</TableHead>
-                  <TableHead
-                    className="cursor-pointer hover:bg-muted/50 select-none"
-                    onClick={() => handleSort("country")}
-                  >
-                    <div className="flex items-center gap-1">
-                      Country
-                      {getSortIcon("country")}
-                    </div>
-                  </TableHead>
-                  <TableHead
-                    className="cursor-pointer hover:bg-muted/50 select-none"
-                    onClick={() => handleSort("createdAt")}
-                  >
-                    <div className="flex items-center gap-1">
-                      Created
-                      {getSortIcon("createdAt")}
-                    </div>
-                  </TableHead>
-                  <TableHead className="text-right">Actions</TableHead>
                 </TableRow>
               </TableHeader>
-              <TableBody>
+              <TableBody ref={isDesktop ? listRef : undefined}>
                 {loading ? (
                   // Loading skeleton rows
                   Array.from({ length: 5 }).map((_, index) => (
                     <SkeletonRow key={index} />
                   ))
-                ) : users.length === 0 ? (
+                ) : visibleUsers.length === 0 ? (
                   <TableRow>
-                    <TableCell colSpan={8} className="text-center py-12">
+                    <TableCell
+                      colSpan={visibleColumns.length + 2}
+                      className="text-center py-12"
+                    >
                       <UserIcon className="mx-auto h-12 w-12 text-muted-foreground mb-4" />
                       <h3 className="text-lg font-medium text-muted-foreground">
                         No users found
@@ -367,47 +1113,41 @@ export default function UserTable({
                     </TableCell>
                   </TableRow>
                 ) : (
-                  users.map((user) => (
-                    <TableRow key={user.id} className="hover:bg-muted/50">
-                      <TableCell className="font-medium">{user.name}</TableCell>
-                      <TableCell>{user.email}</TableCell>
-                      <TableCell>
-                        <span
-                          className="text-sm text-muted-foreground"
-                          title={user.aboutYou}
-                        >
-                          {truncateText(user.aboutYou, 40)}
-                        </span>
-                      </TableCell>
-                      <TableCell>{formatBirthday(user.birthday)}</TableCell>
-                      <TableCell>{user.mobileNumber}</TableCell>
-                      <TableCell>{user.country}</TableCell>
-                      <TableCell className="text-muted-foreground">
-                        {formatDate(user.createdAt)}
-                      </TableCell>
-                      <TableCell className="text-right">
-                        <div className="flex gap-2 justify-end">
-                          <Button size="sm" variant="outline" asChild>
-                            <Link href={`/users/${user.id}/edit`}>
-                              <EditIcon className="h-4 w-4" />
-                            </Link>
-                          </Button>
-                          <Button
-                            size="sm"
-                            variant="destructive"
-                            onClick={() => handleDeleteClick(user)}
-                          >
-                            <TrashIcon className="h-4 w-4" />
-                          </Button>
-                        </div>
-                      </TableCell>
-                    </TableRow>
-                  ))
+                  <>
+                    {paddingTop > 0 && (
+                      <tr aria-hidden style={{ height: paddingTop }} />
+                    )}
+                    {showDesktopRows &&
+                      renderedUsers.map(({ user, index }) =>
+                        renderDesktopRow(user, index)
+                      )}
+                    {paddingBottom > 0 && (
+                      <tr aria-hidden style={{ height: paddingBottom }} />
+                    )}
+                  </>
                 )}
               </TableBody>
             </Table>
           </div>
         </div>
+
+        {/* Continuous mode status */}
+        {continuous && !loading && visibleUsers.length > 0 && (
+          <div className="flex items-center justify-center py-2 text-sm text-muted-foreground">
+            {loadingMore ? (
+              <>
+                <Loader2Icon className="h-4 w-4 mr-2 animate-spin" />
+                Loading more users...
+              </>
+            ) : hasMore ? (
+              <Button size="sm" variant="outline" onClick={onLoadMore}>
+                Load more
+              </Button>
+            ) : (
+              `All ${visibleUsers.length.toLocaleString()} users loaded`
+            )}
+          </div>
+        )}
       </div>
 
       {/* Delete Confirmation Dialog */}
@@ -416,8 +1156,8 @@ export default function UserTable({
           <DialogHeader>
             <DialogTitle>Delete User</DialogTitle>
             <DialogDescription>
-              Are you sure you want to delete this user? This action cannot be
-              undone.
+              Are you sure you want to delete this user? They will be moved to
+              the trash, where they can be restored.
             </DialogDescription>
           </DialogHeader>
 
@@ -439,20 +1179,55 @@ export default function UserTable({
             <Button
               variant="outline"
               onClick={() => setDeleteDialogOpen(false)}
-              disabled={deleting}
             >
               Cancel
             </Button>
-            <Button
-              variant="destructive"
-              onClick={confirmDelete}
-              disabled={deleting}
-            >
-              {deleting ? "Deleting..." : "Delete User"}
+            <Button variant="destructive" onClick={confirmDelete}>
+              Delete User
             </Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      {/* Bulk Delete Dialog */}
+      <BulkDeleteDialog
+        open={bulkDeleteOpen}
+        onOpenChange={setBulkDeleteOpen}
+        users={bulkDeleteUsers}
+        onComplete={handleBulkDeleteComplete}
+      />
+
+      {/* Bulk Edit Dialog */}
+      <BulkEditDialog
+        open={bulkEditOpen}
+        onOpenChange={setBulkEditOpen}
+        users={bulkEditUsers}
+        onComplete={handleBulkEditComplete}
+      />
+
+      {/* Quick View Drawer */}
+      <UserQuickView
+        userId={quickViewId}
+        fallbackUser={quickViewUser}
+        open={!!quickViewId}
+        onOpenChange={(open) => !open && setQuickView(null)}
+        onDelete={(user) => {
+          setQuickView(null);
+          handleDeleteClick(user);
+        }}
+      />
+
+      {/* Export Dialog */}
+      <ExportDialog
+        open={exportOpen}
+        onOpenChange={setExportOpen}
+        pageUsers={visibleUsers}
+        selectedUsers={Object.values(selectedUsers)}
+        allMatchingSelected={allMatchingSelected}
+        totalItems={pagination.totalItems || 0}
+        filters={filters}
+        sort={{ sort }}
+      />
     </>
   );
 }
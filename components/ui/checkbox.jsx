@@ -0,0 +1,44 @@
+"use client"
+
+import * as React from "react"
+
+import { cn } from "@/lib/utils"
+
+function Checkbox({
+  className,
+  checked = false,
+  indeterminate = false,
+  onCheckedChange,
+  onChange,
+  ...props
+}) {
+  const ref = React.useRef(null)
+
+  // `indeterminate` can only be set from script, not as an attribute
+  React.useEffect(() => {
+    if (ref.current) {
+      ref.current.indeterminate = indeterminate && !checked
+    }
+  }, [indeterminate, checked])
+
+  return (
+    <input
+      ref={ref}
+      type="checkbox"
+      data-slot="checkbox"
+      checked={checked}
+      aria-checked={indeterminate && !checked ? "mixed" : checked}
+      onChange={(event) => {
+        onChange?.(event)
+        onCheckedChange?.(event.target.checked)
+      }}
+      className={cn(
+        "border-input accent-primary size-4 shrink-0 cursor-pointer rounded-[4px] border shadow-xs outline-none transition-shadow disabled:cursor-not-allowed disabled:opacity-50",
+        "focus-visible:border-ring focus-visible:ring-ring/50 focus-visible:ring-[3px]",
+        className
+      )}
+      {...props} />
+  );
+}
+
+export { Checkbox }
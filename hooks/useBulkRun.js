@@ -0,0 +1,91 @@
+"use client";
+
+import { useState, useRef, useCallback } from "react";
+import { BULK_STATUS } from "@/components/BulkProgress";
+import { runBulk } from "@/lib/bulk";
+
+const getUserKey = (user) => user.id;
+
+/**
+ * State of a bulk run shown with BulkProgress: per-item statuses, what
+ * failed or was never started (after Stop), and a running total of
+ * successes across retries.
+ *
+ * `start(items, task, options)` resolves to runBulk's `{ succeeded,
+ * failed }`; `options` such as `concurrency` are passed on to runBulk.
+ * `retryItems` are the failed and skipped items, ready to start again.
+ */
+export function useBulkRun({ getKey = getUserKey } = {}) {
+  // "idle" -> "running" -> "done"
+  const [state, setState] = useState("idle");
+  const [runItems, setRunItems] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [failures, setFailures] = useState([]);
+  const [skipped, setSkipped] = useState([]);
+  const [succeededCount, setSucceededCount] = useState(0);
+  const abortControllerRef = useRef(null);
+
+  const reset = useCallback(() => {
+    setState("idle");
+    setRunItems([]);
+    setStatuses({});
+    setFailures([]);
+    setSkipped([]);
+    setSucceededCount(0);
+  }, []);
+
+  const setStatus = (item, status, error = null) =>
+    setStatuses((prev) => ({ ...prev, [getKey(item)]: { status, error } }));
+
+  const start = async (items, task, options = {}) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setRunItems(items);
+    setStatuses(
+      Object.fromEntries(
+        items.map((item) => [getKey(item), { status: BULK_STATUS.PENDING }])
+      )
+    );
+    setState("running");
+
+    const result = await runBulk(items, task, {
+      ...options,
+      signal: controller.signal,
+      onItemStart: (item) => setStatus(item, BULK_STATUS.RUNNING),
+      onItemSettled: (item, index, error) =>
+        setStatus(item, error ? BULK_STATUS.FAILED : BULK_STATUS.DONE, error),
+    });
+
+    abortControllerRef.current = null;
+
+    const settledKeys = new Set(
+      [...result.succeeded, ...result.failed].map(({ item }) => getKey(item))
+    );
+
+    setSucceededCount((prev) => prev + result.succeeded.length);
+    setFailures(result.failed);
+    // Left over when the run was stopped early
+    setSkipped(items.filter((item) => !settledKeys.has(getKey(item))));
+    setState("done");
+
+    return result;
+  };
+
+  // Stop starting new items; in-flight ones still finish
+  const stop = () => abortControllerRef.current?.abort();
+
+  return {
+    state,
+    running: state === "running",
+    runItems,
+    statuses,
+    failures,
+    skipped,
+    succeededCount,
+    retryItems: [...failures.map(({ item }) => item), ...skipped],
+    start,
+    stop,
+    reset,
+  };
+}
@@ -0,0 +1,276 @@
+"use client";
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getUsers, isCancelledRequest } from "@/lib/api";
+import { toast } from "sonner";
+
+// Users fetched per request while scrolling
+const PAGE_SIZE = 50;
+
+// Loaded users and scroll position per query, so coming back to the list
+// (e.g. Back from a user page) shows the same rows at the same place
+const MAX_SNAPSHOTS = 10;
+const snapshots = new Map();
+
+const saveSnapshot = (key, snapshot) => {
+  snapshots.delete(key);
+  snapshots.set(key, snapshot);
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+};
+
+// Append users, skipping ones already loaded (rows shift between pages
+// when users are added or removed while scrolling)
+const mergeUsers = (current, next) => {
+  const loadedIds = new Set(current.map((user) => user.id));
+  return [...current, ...next.filter((user) => !loadedIds.has(user.id))];
+};
+
+const emptyData = (key) => ({ key, users: [], pagination: {}, pages: 0 });
+
+// Pages holding rows first..last (0-based row indexes)
+const toPageRange = ({ first, last }) => ({
+  firstPage: Math.floor(first / PAGE_SIZE) + 1,
+  lastPage: Math.floor(last / PAGE_SIZE) + 1,
+});
+
+/**
+ * Load users page by page for the continuous list. Call `loadMore` near
+ * the end of the list and report the rows on screen with
+ * `setVisibleRange`, so `refresh` only refetches those pages. Deleted and
+ * edited users are patched in place with `removeUsers`/`updateUsers`.
+ */
+export function useInfiniteUsers(filters, sort, { enabled = true } = {}) {
+  const queryKey = JSON.stringify({ filters, sort });
+
+  const [data, setData] = useState(() => emptyData(queryKey));
+  const [loading, setLoading] = useState(enabled);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Controller for the in-flight request; only one runs at a time
+  const controllerRef = useRef(null);
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  // Rows on screen (0-based indexes), as reported by the table
+  const visibleRangeRef = useRef({ first: 0, last: 0 });
+
+  // Fetch pages first..last for the current query. Without `append`, the
+  // fetched rows replace those pages and the rows around them are kept.
+  const load = useCallback(
+    async ({ firstPage, lastPage, append = false }) => {
+      const query = JSON.parse(queryKey);
+
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setError(null);
+
+      try {
+        let users = [];
+        let pagination = {};
+        let page = firstPage;
+
+        for (; page <= lastPage; page++) {
+          const result = await getUsers(
+            query.filters,
+            { page, limit: PAGE_SIZE, sort: query.sort },
+            { signal: controller.signal }
+          );
+          users = mergeUsers(users, result.users || []);
+          pagination = result.pagination || {};
+          if (!pagination.hasNextPage) break;
+        }
+        if (controller.signal.aborted) return;
+
+        const loadedPages = Math.min(page, lastPage);
+        const reachedEnd = !pagination.hasNextPage;
+
+        setData((prev) => {
+          if (append || prev.key !== queryKey) {
+            return {
+              key: queryKey,
+              users: append ? mergeUsers(prev.users, users) : users,
+              pagination,
+              pages: loadedPages,
+            };
+          }
+
+          // Everything after the last page is gone when it was the end
+          const before = prev.users.slice(0, (firstPage - 1) * PAGE_SIZE);
+          const after = reachedEnd
+            ? []
+            : prev.users.slice(loadedPages * PAGE_SIZE);
+
+          return {
+            key: queryKey,
+            users: mergeUsers(mergeUsers(before, users), after),
+            pagination: {
+              ...pagination,
+              hasNextPage:
+                reachedEnd || loadedPages >= prev.pages
+                  ? pagination.hasNextPage
+                  : prev.pagination.hasNextPage,
+            },
+            pages: reachedEnd ? loadedPages : Math.max(prev.pages, loadedPages),
+          };
+        });
+      } catch (err) {
+        if (isCancelledRequest(err, controller.signal)) return;
+
+        console.error("Error fetching users:", err);
+        setError(err.message || "Failed to fetch users");
+        toast.error("Failed to load users", {
+          description: err.message || "Unable to fetch user data",
+        });
+      } finally {
+        if (controllerRef.current === controller) {
+          controllerRef.current = null;
+          setLoading(false);
+          setLoadingMore(false);
+          setRefreshing(false);
+        }
+      }
+    },
+    [queryKey]
+  );
+
+  // Start over when the query changes, or pick up where we left off
+  useEffect(() => {
+    if (!enabled) return;
+
+    const snapshot = snapshots.get(queryKey);
+    if (!snapshot) {
+      visibleRangeRef.current = { first: 0, last: 0 };
+      setData(emptyData(queryKey));
+      setLoading(true);
+      load({ firstPage: 1, lastPage: 1 });
+      return () => controllerRef.current?.abort();
+    }
+
+    // Show the saved rows where they were, then revalidate the pages that
+    // were on screen in the background
+    setData(snapshot.data);
+    setLoading(false);
+    visibleRangeRef.current = snapshot.visibleRange;
+    const frame = requestAnimationFrame(() =>
+      window.scrollTo(0, snapshot.scrollY)
+    );
+    load(toPageRange(snapshot.visibleRange));
+
+    return () => {
+      cancelAnimationFrame(frame);
+      controllerRef.current?.abort();
+    };
+  }, [enabled, queryKey, load]);
+
+  // Remember the loaded rows for this query
+  useEffect(() => {
+    if (!enabled || data.key !== queryKey || !data.pages) return;
+
+    saveSnapshot(queryKey, {
+      data,
+      scrollY: snapshots.get(queryKey)?.scrollY ?? window.scrollY,
+      visibleRange: visibleRangeRef.current,
+    });
+  }, [enabled, queryKey, data]);
+
+  // ...and how far down the page we are
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleScroll = () => {
+      const snapshot = snapshots.get(queryKey);
+      if (snapshot) {
+        snapshot.scrollY = window.scrollY;
+      }
+    };
+
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => window.removeEventListener("scroll", handleScroll);
+  }, [enabled, queryKey]);
+
+  const loadMore = useCallback(() => {
+    const { pages, pagination } = dataRef.current;
+    if (controllerRef.current || !pagination.hasNextPage) return;
+
+    setLoadingMore(true);
+    load({ firstPage: pages + 1, lastPage: pages + 1, append: true });
+  }, [load]);
+
+  const setVisibleRange = useCallback(
+    (first, last) => {
+      visibleRangeRef.current = { first, last };
+      const snapshot = snapshots.get(queryKey);
+      if (snapshot) {
+        snapshot.visibleRange = visibleRangeRef.current;
+      }
+    },
+    [queryKey]
+  );
+
+  // Reload the pages on screen; the rows above and below are kept
+  const refresh = useCallback(() => {
+    const { firstPage, lastPage } = toPageRange(visibleRangeRef.current);
+    setRefreshing(true);
+    load({
+      firstPage: Math.min(firstPage, Math.max(dataRef.current.pages, 1)),
+      lastPage: Math.min(lastPage, Math.max(dataRef.current.pages, 1)),
+    });
+  }, [load]);
+
+  // Drop deleted users. Later rows move up a page on the server, so the
+  // next loadMore fetches the last loaded page again to pick them up.
+  const removeUsers = useCallback((ids) => {
+    const removed = new Set(ids);
+    setData((prev) => {
+      const users = prev.users.filter((user) => !removed.has(user.id));
+      const count = prev.users.length - users.length;
+      if (!count) return prev;
+
+      return {
+        ...prev,
+        users,
+        pagination: {
+          ...prev.pagination,
+          totalItems: Math.max((prev.pagination.totalItems ?? 0) - count, 0),
+        },
+        pages: prev.pagination.hasNextPage
+          ? Math.max(prev.pages - Math.ceil(count / PAGE_SIZE), 0)
+          : prev.pages,
+      };
+    });
+  }, []);
+
+  // Merge saved users into the loaded rows
+  const updateUsers = useCallback((updatedUsers) => {
+    const updatedById = new Map(updatedUsers.map((user) => [user.id, user]));
+    setData((prev) => ({
+      ...prev,
+      users: prev.users.map((user) =>
+        updatedById.has(user.id)
+          ? { ...user, ...updatedById.get(user.id) }
+          : user
+      ),
+    }));
+  }, []);
+
+  const current = data.key === queryKey ? data : emptyData(queryKey);
+
+  return {
+    users: current.users,
+    pagination: current.pagination,
+    hasMore: !!current.pagination.hasNextPage,
+    loading,
+    loadingMore,
+    refreshing,
+    error,
+    loadMore,
+    refresh,
+    setVisibleRange,
+    removeUsers,
+    updateUsers,
+  };
+}
@@ -0,0 +1,39 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { getUserFacets, isCancelledRequest } from "@/lib/api";
+
+/**
+ * Facet counts (`{ country: [{ value, count }] }`) for the filters,
+ * refetched when they change. The previous counts stay until new ones
+ * arrive so the options do not jump around.
+ */
+export function useUserFacets(filters, { enabled = true } = {}) {
+  const filtersKey = JSON.stringify(filters);
+
+  const [facets, setFacets] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    getUserFacets(JSON.parse(filtersKey), { signal: controller.signal })
+      .then((result) => setFacets(result || {}))
+      .catch((err) => {
+        if (isCancelledRequest(err, controller.signal)) return;
+        setError(err.message || "Failed to load counts");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, filtersKey]);
+
+  return { facets, loading, error };
+}
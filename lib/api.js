@@ -1,49 +1,307 @@
 // lib/api.js
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:3000";
+import {
+  ApiError,
+  NetworkError,
+  NotFoundError,
+  TimeoutError,
+  ValidationError,
+  createApiError,
+} from "@/lib/errors";
+import {
+  getCached,
+  setCached,
+  deleteCached,
+  invalidateCached,
+} from "@/lib/queryCache";
+import { configureUserSchema, validateUser } from "@/lib/validations";
+import { toCalendarDate } from "@/lib/dates";
+import { formatSortSpec, resolveSort } from "@/lib/sort";
+
+// Default time a request may take before it fails with a TimeoutError
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Settings that GET /api/config may override at runtime
+let apiBaseUrl = "";
+let requestTimeoutMs = REQUEST_TIMEOUT_MS;
+// Off until the config says the backend filters by `q`
+let advancedQuerySupported = false;
+let runtimeConfigPromise = null;
+
+// Retry policy for idempotent requests, adjustable via setRetryPolicy
+const DEFAULT_RETRY_POLICY = {
+  retries: 3, // attempts after the first one
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  // Longest Retry-After we are willing to wait before giving up
+  maxRetryAfterMs: 30000,
+  retryOnStatus: [429, 502, 503, 504],
+  retryOnNetworkError: true,
+};
+
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Override the retry policy (pass `{ retries: 0 }` to disable retries)
+ */
+export const setRetryPolicy = (policy = {}) => {
+  retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+  return retryPolicy;
+};
+
+/**
+ * Load API settings from the server once (see lib/runtimeConfig.js).
+ * Falls back to the built-in defaults if the config cannot be fetched.
+ */
+export const loadRuntimeConfig = () => {
+  if (!runtimeConfigPromise) {
+    runtimeConfigPromise = fetch("/api/config", { cache: "no-store" })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        const config = data?.payload || {};
+
+        if (typeof config.apiBaseUrl === "string") {
+          apiBaseUrl = config.apiBaseUrl;
+        }
+        if (Number.isFinite(config.requestTimeoutMs)) {
+          requestTimeoutMs = config.requestTimeoutMs;
+        }
+        if (config.retry) {
+          setRetryPolicy({ ...retryPolicy, ...config.retry });
+        }
+        if (config.validation) {
+          configureUserSchema(config.validation);
+        }
+        advancedQuerySupported = config.features?.advancedQuery === true;
+        return config;
+      })
+      .catch((error) => {
+        console.warn("Using default API settings:", error);
+        return {};
+      });
+  }
+
+  return runtimeConfigPromise;
+};
+
+/**
+ * Whether the backend filters by the advanced query (`q`). When it does
+ * not, `q` is left out of list requests instead of being silently ignored.
+ */
+export const isAdvancedQuerySupported = async () => {
+  await loadRuntimeConfig();
+  return advancedQuerySupported;
+};
+
+// Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
 
 // Enhanced error handling function
 const handleResponse = async (response) => {
-  const data = await response.json();
+  // Proxies and crashed servers may answer with an HTML error page
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+  }
 
   if (!response.ok) {
-    // Create more specific error messages for different scenarios
-    let errorMessage = "An error occurred";
-
-    if (response.status === 404) {
-      errorMessage = "User not found";
-    } else if (response.status === 409) {
-      // Conflict - usually duplicate data
-      errorMessage = data.payload || "Duplicate data detected";
-    } else if (response.status === 400) {
-      // Bad request - validation errors
-      errorMessage = data.payload || "Invalid data provided";
-    } else if (response.status >= 500) {
-      errorMessage = "Server error. Please try again later.";
+    throw createApiError(response.status, data, {
+      retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+    });
+  }
+
+  // Backend returns { error: boolean, payload: data }
+  if (!data || data.error) {
+    throw createApiError(response.status, data);
+  }
+
+  return data.payload;
+};
+
+// Helper function to detect requests cancelled through an AbortSignal
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Whether a request failed only because it was cancelled, e.g. superseded
+ * by a newer one; callers should then leave state to the newer request
+ */
+export const isCancelledRequest = (error, signal) =>
+  isAbortError(error) || Boolean(signal?.aborted);
+
+// Single fetch attempt: timeout, caller cancellation and typed errors
+const requestOnce = async (
+  path,
+  { method = "GET", body, signal, timeout, headers = {} } = {}
+) => {
+  const controller = new AbortController();
+  const timeoutMs = timeout ?? requestTimeoutMs;
+  let timedOut = false;
+
+  const timer =
+    timeoutMs > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs)
+      : null;
+
+  // Forward cancellation from the caller's signal
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      abortFromCaller();
     } else {
-      errorMessage =
-        data.payload || `Request failed with status ${response.status}`;
+      signal.addEventListener("abort", abortFromCaller, { once: true });
     }
+  }
 
-    const error = new Error(errorMessage);
-    error.status = response.status;
-    error.data = data;
-    throw error;
+  try {
+    // By default same-origin /api routes proxy to the backend
+    const response = await fetch(`${apiBaseUrl}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    return await handleResponse(response);
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(
+        `The request took longer than ${Math.ceil(timeoutMs / 1000)}s`
+      );
+    }
+    if (isAbortError(error) || error instanceof ApiError) {
+      throw error;
+    }
+    // fetch only rejects on its own for network failures
+    throw new NetworkError(undefined, { data: { cause: error?.message } });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abortFromCaller);
   }
+};
 
-  // Backend returns { error: boolean, payload: data }
-  if (data.error) {
-    const error = new Error(data.payload || "An error occurred");
-    error.data = data;
-    throw error;
+// Resolve after `ms`, rejecting early if the signal aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Decide whether a failed attempt is worth repeating
+const isRetryable = (error, policy) => {
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return policy.retryOnNetworkError;
   }
+  return (
+    error instanceof ApiError && policy.retryOnStatus.includes(error.status)
+  );
+};
 
-  return data.payload;
+// Exponential backoff with full jitter, unless the server told us how long
+const getRetryDelay = (error, attempt, policy) => {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs;
+  }
+  const ceiling = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** attempt
+  );
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Shared request helper that retries idempotent calls.
+ *
+ * Non-idempotent requests (POST/PUT) are only retried when the caller
+ * sends an `idempotencyKey`, so the backend can de-duplicate them.
+ * `retry: false` or a partial policy object overrides the global policy.
+ */
+const request = async (path, options = {}) => {
+  await loadRuntimeConfig();
+
+  const { idempotencyKey, retry, ...requestOptions } = options;
+  const method = requestOptions.method || "GET";
+  const isIdempotent =
+    ["GET", "HEAD", "DELETE"].includes(method) || Boolean(idempotencyKey);
+
+  const policy =
+    retry === false || !isIdempotent
+      ? { ...retryPolicy, retries: 0 }
+      : { ...retryPolicy, ...retry };
+
+  if (idempotencyKey) {
+    requestOptions.headers = {
+      ...requestOptions.headers,
+      "Idempotency-Key": idempotencyKey,
+    };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(path, requestOptions);
+    } catch (error) {
+      if (attempt >= policy.retries || !isRetryable(error, policy)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, policy);
+      if (delay > policy.maxRetryAfterMs) {
+        throw error;
+      }
+
+      console.warn(
+        `Retrying ${method} ${path} in ${delay}ms (attempt ${attempt + 2})`
+      );
+      await sleep(delay, requestOptions.signal);
+    }
+  }
+};
+
+// Reject invalid payloads before they reach the backend
+const assertValidUser = (userData, partial) => {
+  const fieldErrors = validateUser(userData, { partial });
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new ValidationError(undefined, { fieldErrors });
+  }
 };
 
 // Helper function to build query string
+// Array values become one param per item (`countries=A&countries=B`)
 const buildQueryString = (params) => {
   const filteredParams = Object.entries(params)
+    .flatMap(([key, value]) =>
+      Array.isArray(value) ? value.map((item) => [key, item]) : [[key, value]]
+    )
     .filter(
       ([, value]) => value !== undefined && value !== null && value !== ""
     )
@@ -56,38 +314,168 @@ const buildQueryString = (params) => {
   return filteredParams ? `?${filteredParams}` : "";
 };
 
+// Helper function to build the filtering parameters of list queries
+const buildFilterParams = (filters = {}) => ({
+  name: filters.name,
+  email: filters.email,
+  country: filters.country,
+  // Exact countries picked in the country facet, sent as repeated params
+  countries: filters.countries,
+  fromDate: filters.fromDate,
+  toDate: filters.toDate,
+  search: filters.search,
+  // Advanced query (lib/userQuery.js) as JSON, if the backend supports it
+  q: advancedQuerySupported ? filters.q : undefined,
+});
+
+// Helper function to build the getUsers query parameters
+const buildUsersParams = (filters = {}, pagination = {}) => {
+  const sort = resolveSort(pagination);
+
+  return {
+    ...buildFilterParams(filters),
+
+    // Pagination parameters
+    page: pagination.page || 1,
+    limit: pagination.limit || 10,
+
+    // Sorting: the primary key as sortBy/sortOrder, plus the full spec in
+    // `sort` when sorting by more than one column
+    sortBy: sort[0].field,
+    sortOrder: sort[0].order,
+    sort: sort.length > 1 ? formatSortSpec(sort) : undefined,
+  };
+};
+
+// Cache keys: list queries share a prefix so mutations can drop them all
+const USERS_CACHE_PREFIX = "users:";
+const usersCacheKey = (queryString) => `${USERS_CACHE_PREFIX}${queryString}`;
+const userCacheKey = (id) => `user:${id}`;
+
+// Drop cached data that a mutation may have made wrong
+const invalidateUserQueries = (id) => {
+  invalidateCached(USERS_CACHE_PREFIX);
+  if (id !== undefined) {
+    deleteCached(userCacheKey(id));
+  }
+};
+
+/**
+ * Cached result of a previous getUsers call with the same parameters,
+ * or null. Show it immediately, then call getUsers to revalidate.
+ */
+export const peekUsers = (filters = {}, pagination = {}) => {
+  const queryString = buildQueryString(buildUsersParams(filters, pagination));
+  return getCached(usersCacheKey(queryString))?.data ?? null;
+};
+
+/**
+ * Cached result of a previous getUserById call, or null
+ */
+export const peekUser = (id) => getCached(userCacheKey(id))?.data ?? null;
+
 /**
  * Get all users with filtering and pagination
+ * Sort with `pagination.sort` (`[{ field, order }]`, highest priority
+ * first) or the single-key `sortBy`/`sortOrder`.
+ * Pass `options.signal` to cancel the request when it is superseded
  */
-export const getUsers = async (filters = {}, pagination = {}) => {
+export const getUsers = async (filters = {}, pagination = {}, options = {}) => {
   try {
-    const params = {
-      // Filtering parameters
-      name: filters.name,
-      email: filters.email,
-      country: filters.country,
-      fromDate: filters.fromDate,
-      toDate: filters.toDate,
-      search: filters.search,
-
-      // Pagination parameters
-      page: pagination.page || 1,
-      limit: pagination.limit || 10,
-      sortBy: pagination.sortBy || "createdAt",
-      sortOrder: pagination.sortOrder || "DESC",
-    };
+    // The config decides whether `q` is sent
+    await loadRuntimeConfig();
+    const queryString = buildQueryString(buildUsersParams(filters, pagination));
+    const result = await request(`/api/users${queryString}`, options);
 
-    const queryString = buildQueryString(params);
-    const response = await fetch(`${API_BASE_URL}/api/users${queryString}`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+    setCached(usersCacheKey(queryString), result);
+    return result;
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error("Error fetching users:", error);
+    }
+    throw error;
+  }
+};
 
-    return await handleResponse(response);
+/**
+ * Count users per country for the filters, as `{ country: [{ value,
+ * count }] }`. The country facet's own selection does not narrow it.
+ */
+export const getUserFacets = async (filters = {}, options = {}) => {
+  try {
+    await loadRuntimeConfig();
+    const queryString = buildQueryString(
+      buildFilterParams({ ...filters, countries: undefined })
+    );
+    return await request(`/api/users/facets${queryString}`, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error("Error fetching user facets:", error);
+    }
+    throw error;
+  }
+};
+
+// Page size used when walking through every matching user
+const ALL_USERS_PAGE_SIZE = 100;
+
+/**
+ * Get every user matching the filters by requesting page after page.
+ * Used for bulk actions on "all matching users"; pages are not cached.
+ * `options.onProgress(loaded, total)` is called after each page.
+ */
+export const getAllUsers = async (filters = {}, sort = {}, options = {}) => {
+  const { onProgress, ...requestOptions } = options;
+  const users = [];
+
+  try {
+    await loadRuntimeConfig();
+    for (let page = 1; ; page++) {
+      const queryString = buildQueryString(
+        buildUsersParams(filters, {
+          ...sort,
+          page,
+          limit: ALL_USERS_PAGE_SIZE,
+        })
+      );
+      const result = await request(`/api/users${queryString}`, requestOptions);
+
+      users.push(...(result.users || []));
+      if (onProgress) {
+        onProgress(users.length, result.pagination?.totalItems ?? users.length);
+      }
+
+      if (!result.pagination?.hasNextPage || !result.users?.length) {
+        return users;
+      }
+    }
   } catch (error) {
-    console.error("Error fetching users:", error);
+    if (!isAbortError(error)) {
+      console.error("Error fetching all users:", error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Which of the emails and mobile numbers already belong to users, as
+ * `{ emails, mobileNumbers }`. Only a hint for the import preview;
+ * createUser still fails with a ConflictError for a taken one.
+ */
+export const findDuplicateContacts = async (
+  { emails = [], mobileNumbers = [] },
+  options = {}
+) => {
+  try {
+    return await request("/api/users/duplicates", {
+      ...options,
+      method: "POST",
+      body: { emails, mobileNumbers },
+    });
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error("Error checking for duplicate users:", error);
+    }
     throw error;
   }
 };
@@ -95,46 +483,48 @@ export const getUsers = async (filters = {}, pagination = {}) => {
 /**
  * Get user by ID
  */
-export const getUserById = async (id) => {
+export const getUserById = async (id, options = {}) => {
   try {
     if (!id) {
       throw new Error("User ID is required");
     }
 
-    const response = await fetch(`${API_BASE_URL}/api/users/${id}`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+    const user = await request(`/api/users/${id}`, options);
 
-    return await handleResponse(response);
+    setCached(userCacheKey(id), user);
+    return user;
   } catch (error) {
-    console.error(`Error fetching user ${id}:`, error);
+    if (!isAbortError(error)) {
+      console.error(`Error fetching user ${id}:`, error);
+    }
     throw error;
   }
 };
 
 /**
  * Create a new user
+ * Only retried when `options.idempotencyKey` is provided
  */
-export const createUser = async (userData) => {
+export const createUser = async (userData, options = {}) => {
   try {
     if (!userData) {
       throw new Error("User data is required");
     }
+    await loadRuntimeConfig();
+    assertValidUser(userData, false);
 
-    const response = await fetch(`${API_BASE_URL}/api/users`, {
+    const user = await request("/api/users", {
+      ...options,
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(userData),
+      body: userData,
     });
 
-    return await handleResponse(response);
+    invalidateUserQueries();
+    return user;
   } catch (error) {
-    console.error("Error creating user:", error);
+    if (!isAbortError(error)) {
+      console.error("Error creating user:", error);
+    }
     throw error;
   }
 };
@@ -142,7 +532,7 @@ export const createUser = async (userData) => {
 /**
  * Update user by ID
  */
-export const updateUser = async (id, userData) => {
+export const updateUser = async (id, userData, options = {}) => {
   try {
     if (!id) {
       throw new Error("User ID is required");
@@ -151,102 +541,129 @@ export const updateUser = async (id, userData) => {
     if (!userData) {
       throw new Error("User data is required");
     }
+    await loadRuntimeConfig();
+    assertValidUser(userData, true);
 
-    const response = await fetch(`${API_BASE_URL}/api/users/${id}`, {
+    const user = await request(`/api/users/${id}`, {
+      ...options,
       method: "PUT",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(userData),
+      body: userData,
     });
 
-    return await handleResponse(response);
+    invalidateUserQueries(id);
+    return user;
   } catch (error) {
-    console.error(`Error updating user ${id}:`, error);
+    if (!isAbortError(error)) {
+      console.error(`Error updating user ${id}:`, error);
+    }
     throw error;
   }
 };
 
 /**
  * Delete user by ID
+ * Users are moved to the trash and can be brought back with restoreUser
  */
-export const deleteUser = async (id) => {
+export const deleteUser = async (id, options = {}) => {
   try {
     if (!id) {
       throw new Error("User ID is required");
     }
 
-    const response = await fetch(`${API_BASE_URL}/api/users/${id}`, {
+    const result = await request(`/api/users/${id}`, {
+      ...options,
       method: "DELETE",
-      headers: {
-        "Content-Type": "application/json",
-      },
     });
 
-    return await handleResponse(response);
+    invalidateUserQueries(id);
+    return result;
   } catch (error) {
-    console.error(`Error deleting user ${id}:`, error);
+    // Someone else deleted it first; cached lists still show the user
+    if (error instanceof NotFoundError) {
+      invalidateUserQueries(id);
+    }
+    if (!isAbortError(error)) {
+      console.error(`Error deleting user ${id}:`, error);
+    }
     throw error;
   }
 };
 
-// Helper function to format date for API
-export const formatDateForAPI = (date) => {
-  if (!date) return null;
-
-  // If date is already a string in YYYY-MM-DD format, return as is
-  if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return date;
-  }
+/**
+ * Get soft-deleted users (the trash), most recently deleted first
+ */
+export const getDeletedUsers = async (pagination = {}, options = {}) => {
+  try {
+    const queryString = buildQueryString({
+      page: pagination.page || 1,
+      limit: pagination.limit || 10,
+    });
 
-  // If date is a Date object, format it
-  if (date instanceof Date) {
-    return date.toISOString().split("T")[0];
+    return await request(`/api/users/trash${queryString}`, options);
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error("Error fetching deleted users:", error);
+    }
+    throw error;
   }
-
-  return null;
 };
 
-// Helper function to validate required fields before API calls
-export const validateUserData = (userData, isUpdate = false) => {
-  const errors = [];
-
-  if (!isUpdate || userData.name !== undefined) {
-    if (!userData.name || userData.name.trim().length < 2) {
-      errors.push("Name is required and must be at least 2 characters");
+/**
+ * Restore a soft-deleted user from the trash.
+ * Not retried by default: a retry after a lost response finds the user
+ * no longer in the trash and fails with 404 although the restore worked.
+ * Pass `options.idempotencyKey` if the backend de-duplicates restores.
+ */
+export const restoreUser = async (id, options = {}) => {
+  try {
+    if (!id) {
+      throw new Error("User ID is required");
     }
-  }
 
-  if (!isUpdate || userData.email !== undefined) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!userData.email || !emailRegex.test(userData.email)) {
-      errors.push("Valid email is required");
-    }
-  }
+    const user = await request(`/api/users/${id}/restore`, {
+      ...options,
+      method: "POST",
+    });
 
-  if (!isUpdate || userData.aboutYou !== undefined) {
-    if (!userData.aboutYou || userData.aboutYou.trim().length < 10) {
-      errors.push("About You is required and must be at least 10 characters");
+    invalidateUserQueries(id);
+    return user;
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error(`Error restoring user ${id}:`, error);
     }
+    throw error;
   }
+};
 
-  if (!isUpdate || userData.birthday !== undefined) {
-    if (!userData.birthday) {
-      errors.push("Birthday is required");
+/**
+ * Permanently delete a user that is already in the trash.
+ * Not retried by default, like restoreUser: a retry after a lost response
+ * would get a 404 for a purge that worked. Pass `options.retry` to opt in.
+ */
+export const purgeUser = async (id, options = {}) => {
+  try {
+    if (!id) {
+      throw new Error("User ID is required");
     }
-  }
 
-  if (!isUpdate || userData.mobileNumber !== undefined) {
-    if (!userData.mobileNumber || userData.mobileNumber.trim().length < 10) {
-      errors.push("Mobile number is required");
+    return await request(`/api/users/trash/${id}`, {
+      retry: false,
+      ...options,
+      method: "DELETE",
+    });
+  } catch (error) {
+    if (!isAbortError(error)) {
+      console.error(`Error purging user ${id}:`, error);
     }
+    throw error;
   }
+};
 
-  if (!isUpdate || userData.country !== undefined) {
-    if (!userData.country || userData.country.trim().length < 2) {
-      errors.push("Country is required");
-    }
-  }
+// Helper function to format date for API
+// Uses the local calendar day; toISOString() would shift it in UTC+ zones
+export const formatDateForAPI = (date) => toCalendarDate(date);
 
-  return errors;
-};
+// Helper function to validate required fields before API calls
+// Returns a list of messages; use validateUser for per-field errors
+export const validateUserData = (userData, isUpdate = false) =>
+  Object.values(validateUser(userData, { partial: isUpdate }));
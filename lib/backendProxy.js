@@ -0,0 +1,112 @@
+// lib/backendProxy.js
+// Forwards same-origin /api/* requests to the real backend (server-side only).
+
+import { NextResponse } from "next/server";
+
+// Time the backend has to answer before we give up with a 504
+const PROXY_TIMEOUT_MS = 30000;
+
+// Request headers passed through from the browser
+const FORWARDED_REQUEST_HEADERS = ["accept", "content-type", "idempotency-key"];
+
+// Response headers passed back to the browser
+const FORWARDED_RESPONSE_HEADERS = ["retry-after", "cache-control"];
+
+// Read at request time so a deployment can change it without a rebuild
+const getBackendUrl = () =>
+  (
+    process.env.BACKEND_API_URL ||
+    process.env.NEXT_PUBLIC_API_URL ||
+    ""
+  ).replace(/\/+$/, "");
+
+// Credentials the server holds on behalf of the browser
+const getCredentialHeaders = () => {
+  const headers = {};
+  if (process.env.BACKEND_API_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.BACKEND_API_TOKEN}`;
+  }
+  if (process.env.BACKEND_API_KEY) {
+    headers["X-API-Key"] = process.env.BACKEND_API_KEY;
+  }
+  return headers;
+};
+
+// Error responses always use the backend's `{ error, payload }` envelope
+const errorResponse = (status, message, headers) =>
+  NextResponse.json({ error: true, payload: message }, { status, headers });
+
+const pickHeaders = (headers, names) => {
+  const picked = {};
+  names.forEach((name) => {
+    const value = headers.get(name);
+    if (value) picked[name] = value;
+  });
+  return picked;
+};
+
+/**
+ * Forward `request` to `${BACKEND_API_URL}${path}`, keeping the query string
+ */
+export const proxyToBackend = async (request, path) => {
+  const backendUrl = getBackendUrl();
+  if (!backendUrl) {
+    return errorResponse(
+      503,
+      "Backend is not configured. Set BACKEND_API_URL or enable the mock API."
+    );
+  }
+
+  const hasBody = !["GET", "HEAD"].includes(request.method);
+  const timeoutSignal = AbortSignal.timeout(PROXY_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${backendUrl}${path}${request.nextUrl.search}`, {
+      method: request.method,
+      headers: {
+        ...pickHeaders(request.headers, FORWARDED_REQUEST_HEADERS),
+        ...getCredentialHeaders(),
+      },
+      body: hasBody ? await request.text() : undefined,
+      // Stop upstream work when the browser cancels or the timeout fires
+      signal: AbortSignal.any([request.signal, timeoutSignal]),
+      cache: "no-store",
+    });
+  } catch (error) {
+    if (timeoutSignal.aborted) {
+      return errorResponse(504, "The backend took too long to respond");
+    }
+    if (request.signal.aborted) {
+      return errorResponse(499, "Request cancelled");
+    }
+    console.error(`Proxy error for ${request.method} ${path}:`, error);
+    return errorResponse(502, "Unable to reach the backend");
+  }
+
+  const headers = pickHeaders(response.headers, FORWARDED_RESPONSE_HEADERS);
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+
+  // Normalize anything that is not the `{ error, payload }` envelope
+  if (!data || typeof data !== "object" || !("payload" in data)) {
+    // 204 cannot carry the envelope, so report it as a plain 200
+    return response.ok
+      ? NextResponse.json(
+          { error: false, payload: data },
+          { status: response.status === 204 ? 200 : response.status, headers }
+        )
+      : errorResponse(
+          response.status,
+          `Backend request failed with status ${response.status}`,
+          headers
+        );
+  }
+
+  return NextResponse.json(data, { status: response.status, headers });
+};
@@ -0,0 +1,51 @@
+// lib/bulk.js
+// Run one API call per item (bulk delete, edit, import) with a small
+// concurrency limit, reporting each item's outcome as it settles.
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Run `task(item, index)` for every item, at most `concurrency` at a time.
+ *
+ * `onItemStart(item, index)` and `onItemSettled(item, index, error)` are
+ * called as items start and finish (error is null on success). Once
+ * `signal` aborts no new items are started.
+ *
+ * Resolves to `{ succeeded: [{ item, result }], failed: [{ item, error }] }`;
+ * it never rejects because of a single item.
+ */
+export const runBulk = async (items, task, options = {}) => {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    signal,
+    onItemStart,
+    onItemSettled,
+  } = options;
+
+  const succeeded = [];
+  const failed = [];
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      const item = items[index];
+
+      if (onItemStart) onItemStart(item, index);
+
+      try {
+        const result = await task(item, index);
+        succeeded.push({ item, result });
+        if (onItemSettled) onItemSettled(item, index, null);
+      } catch (error) {
+        failed.push({ item, error });
+        if (onItemSettled) onItemSettled(item, index, error);
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return { succeeded, failed };
+};
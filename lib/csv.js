@@ -0,0 +1,89 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV reading and writing, shared by export and import.
+
+// Spreadsheet apps run text cells starting with one of these as formulas
+// (OWASP CSV injection); such cells get a leading "'" on export
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  let text = String(value ?? "");
+  // Numbers are data, so a negative number is left alone
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the formula escaping of an exported cell, so a file exported here
+ * (e.g. a mobile number "'+1555...") imports with its original value
+ */
+export const unescapeCsvValue = (text) =>
+  String(text ?? "").replace(/^'(?=[=+\-@\t\r])/, "");
+
+/**
+ * Serialize rows (arrays of cell values) to CSV text
+ */
+export const formatCsv = (rows) =>
+  rows.map((row) => row.map(escapeCsvValue).join(",")).join("\r\n");
+
+/**
+ * CSV text as a downloadable Blob, with a BOM so Excel reads it as UTF-8
+ */
+export const createCsvBlob = (text) =>
+  new Blob(["\uFEFF", text], { type: "text/csv;charset=utf-8" });
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields with commas,
+ * quotes and line breaks, CRLF/LF endings and a leading BOM; blank lines
+ * are skipped.
+ */
+export const parseCsv = (text) => {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((cell) => cell.trim() !== "")) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
@@ -0,0 +1,79 @@
+// lib/dates.js
+// Calendar dates (birthday, fromDate, toDate) are plain "YYYY-MM-DD" strings
+// end to end: URL, API and storage. They are only turned into Date objects
+// at local midnight for pickers and display, so the browser's timezone can
+// never shift them by a day. Timestamps like createdAt are not affected.
+
+import { format } from "date-fns";
+
+const CALENDAR_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Normalize a Date (as picked, in local time) or a date string to
+ * "YYYY-MM-DD". ISO datetimes keep their date part as written.
+ */
+export const toCalendarDate = (value) => {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+      value.getDate()
+    )}`;
+  }
+
+  if (typeof value === "string") {
+    const match = CALENDAR_DATE_PATTERN.exec(value);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parse "YYYY-MM-DD" (or an ISO datetime's date part) into a local-midnight
+ * Date, or null. Never use `new Date("YYYY-MM-DD")`, which parses as UTC.
+ */
+export const parseCalendarDate = (value) => {
+  const calendarDate = toCalendarDate(value);
+  if (!calendarDate) return null;
+
+  const [year, month, day] = calendarDate.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+
+  // Reject impossible dates such as 2023-02-30
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Format a calendar date for display with a date-fns pattern
+ */
+export const formatCalendarDate = (value, pattern = "MMM d, yyyy") => {
+  if (!value) return "N/A";
+  const date = parseCalendarDate(value);
+  return date ? format(date, pattern) : "Invalid date";
+};
+
+/**
+ * Today's date in the user's timezone as "YYYY-MM-DD"
+ */
+export const todayCalendarDate = () => toCalendarDate(new Date());
+
+/**
+ * Whole years between a calendar date and today, or null
+ */
+export const calculateAge = (birthday) => {
+  const date = parseCalendarDate(birthday);
+  if (!date) return null;
+
+  const today = new Date();
+  let age = today.getFullYear() - date.getFullYear();
+  const birthdayPassed =
+    today.getMonth() > date.getMonth() ||
+    (today.getMonth() === date.getMonth() && today.getDate() >= date.getDate());
+
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
@@ -0,0 +1,215 @@
+// lib/errors.js
+
+/**
+ * Base class for every error raised by the API layer
+ */
+export class ApiError extends Error {
+  constructor(
+    message,
+    { status = null, data = null, fieldErrors = {}, retryAfterMs = null } = {}
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+    // Map of form field name -> message, e.g. { email: "..." }
+    this.fieldErrors = fieldErrors;
+    // Delay requested by the server through the Retry-After header
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // True when the backend told us which fields were at fault
+  hasFieldErrors() {
+    return Object.keys(this.fieldErrors).length > 0;
+  }
+}
+
+/**
+ * 404 - the requested user does not exist
+ */
+export class NotFoundError extends ApiError {
+  constructor(message = "User not found", details) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * 409 - duplicate data, e.g. an email or mobile number already in use
+ */
+export class ConflictError extends ApiError {
+  constructor(message = "Duplicate data detected", details) {
+    super(message, details);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * 400 / 422 - the request payload was rejected
+ */
+export class ValidationError extends ApiError {
+  constructor(message = "Invalid data provided", details) {
+    super(message, details);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * 5xx - the backend failed to handle the request
+ */
+export class ServerError extends ApiError {
+  constructor(message = "Server error. Please try again later.", details) {
+    super(message, details);
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, ...)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = "Unable to reach the server", details) {
+    super(message, details);
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * The request took longer than the configured timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message = "The request timed out", details) {
+    super(message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+// Form fields the backend may report errors for
+const USER_FIELDS = [
+  "name",
+  "email",
+  "mobileNumber",
+  "country",
+  "birthday",
+  "aboutYou",
+];
+
+// Backend field aliases that map onto form field names
+const FIELD_ALIASES = {
+  mobile: "mobileNumber",
+  mobile_number: "mobileNumber",
+  phone: "mobileNumber",
+  about_you: "aboutYou",
+  about: "aboutYou",
+};
+
+const normalizeField = (field) => {
+  if (!field) return null;
+  if (USER_FIELDS.includes(field)) return field;
+  return FIELD_ALIASES[field] || FIELD_ALIASES[field.toLowerCase()] || null;
+};
+
+/**
+ * Extract `{ field: message }` pairs from a backend error payload.
+ *
+ * Supported shapes:
+ * - `{ errors: [{ field|path|param, message|msg }] }`
+ * - `{ errors: { email: "..." } }` or `{ fields: { email: "..." } }`
+ * - `{ field: "email", message: "..." }`
+ * - `[{ field, message }]`
+ */
+export const extractFieldErrors = (payload) => {
+  const fieldErrors = {};
+  if (!payload || typeof payload !== "object") return fieldErrors;
+
+  const addError = (field, message) => {
+    const key = normalizeField(field);
+    if (key && message && !fieldErrors[key]) {
+      fieldErrors[key] = String(message);
+    }
+  };
+
+  const list = Array.isArray(payload)
+    ? payload
+    : payload.errors || payload.fields || null;
+
+  if (Array.isArray(list)) {
+    list.forEach((item) => {
+      if (item && typeof item === "object") {
+        addError(
+          item.field || item.path || item.param,
+          item.message || item.msg
+        );
+      }
+    });
+  } else if (list && typeof list === "object") {
+    Object.entries(list).forEach(([field, message]) =>
+      addError(field, Array.isArray(message) ? message[0] : message)
+    );
+  }
+
+  if (payload.field) {
+    addError(payload.field, payload.message);
+  }
+
+  return fieldErrors;
+};
+
+// The backend reports duplicates as plain strings; map them to the field
+const inferConflictFields = (message) => {
+  const lower = message.toLowerCase();
+  if (lower.includes("email")) {
+    return { email: "A user with this email already exists" };
+  }
+  if (lower.includes("mobile") || lower.includes("phone")) {
+    return { mobileNumber: "A user with this mobile number already exists" };
+  }
+  return {};
+};
+
+// Pull a human readable message out of the `{ error, payload }` envelope
+const extractMessage = (payload) => {
+  if (typeof payload === "string") return payload;
+  if (payload && typeof payload === "object" && payload.message) {
+    return String(payload.message);
+  }
+  return null;
+};
+
+/**
+ * Build the matching ApiError subclass for a failed HTTP response
+ */
+export const createApiError = (status, data, { retryAfterMs = null } = {}) => {
+  const payload = data?.payload;
+  const message = extractMessage(payload);
+  const fieldErrors = extractFieldErrors(payload);
+  const details = { status, data, fieldErrors, retryAfterMs };
+
+  if (status === 404) {
+    return new NotFoundError(message || undefined, details);
+  }
+  if (status === 409) {
+    if (!Object.keys(fieldErrors).length && message) {
+      details.fieldErrors = inferConflictFields(message);
+    }
+    return new ConflictError(message || undefined, details);
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(message || undefined, details);
+  }
+  if (status >= 500) {
+    return new ServerError(undefined, details);
+  }
+
+  if (status === 429) {
+    return new ApiError(
+      message || "Too many requests. Please slow down.",
+      details
+    );
+  }
+
+  return new ApiError(
+    message || `Request failed with status ${status}`,
+    details
+  );
+};
@@ -0,0 +1,147 @@
+// lib/export.js
+// Turn users into CSV, JSON or XLSX files and download them in the browser.
+
+import { format } from "date-fns";
+import { toCalendarDate } from "@/lib/dates";
+import { createCsvBlob, formatCsv } from "@/lib/csv";
+
+/**
+ * Columns available for export, in default order
+ */
+export const EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "mobileNumber", label: "Mobile Number" },
+  { key: "country", label: "Country" },
+  {
+    key: "birthday",
+    label: "Birthday",
+    getValue: (user) => toCalendarDate(user.birthday),
+  },
+  { key: "aboutYou", label: "About You" },
+  { key: "createdAt", label: "Created At" },
+  { key: "updatedAt", label: "Updated At" },
+];
+
+/**
+ * Supported output formats
+ */
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  xlsx: {
+    label: "Excel (XLSX)",
+    extension: "xlsx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
+
+// Columns for the given keys, in the order the keys are listed
+const getColumns = (keys) =>
+  keys
+    ? keys
+        .map((key) => EXPORT_COLUMNS.find((column) => column.key === key))
+        .filter(Boolean)
+    : EXPORT_COLUMNS;
+
+const getCellValue = (user, column) => {
+  const value = column.getValue ? column.getValue(user) : user[column.key];
+  return value ?? "";
+};
+
+/**
+ * CSV with a header row; `columnKeys` picks and orders the columns
+ */
+export const usersToCsv = (users, columnKeys) => {
+  const columns = getColumns(columnKeys);
+  return formatCsv([
+    columns.map((column) => column.label),
+    ...users.map((user) => columns.map((column) => getCellValue(user, column))),
+  ]);
+};
+
+/**
+ * Pretty-printed JSON array of users limited to the chosen columns
+ */
+export const usersToJson = (users, columnKeys) => {
+  const columns = getColumns(columnKeys);
+  const rows = users.map((user) =>
+    Object.fromEntries(
+      columns.map((column) => [column.key, getCellValue(user, column)])
+    )
+  );
+  return JSON.stringify(rows, null, 2);
+};
+
+// The XLSX writer is only loaded when someone actually exports to Excel
+const usersToXlsxBlob = async (users, columnKeys) => {
+  const { default: writeExcelFile } = await import("write-excel-file/browser");
+  const columns = getColumns(columnKeys);
+
+  const sheetData = [
+    columns.map((column) => ({ value: column.label, fontWeight: "bold" })),
+    ...users.map((user) =>
+      columns.map((column) => {
+        const value = getCellValue(user, column);
+        return { value, type: typeof value === "number" ? Number : String };
+      })
+    ),
+  ];
+
+  return writeExcelFile(sheetData, { sheet: "Users" }).toBlob();
+};
+
+/**
+ * Build the file contents for a format as a Blob
+ */
+export const createExportBlob = async (users, exportFormat, columnKeys) => {
+  const { mimeType } = EXPORT_FORMATS[exportFormat] || {};
+
+  switch (exportFormat) {
+    case "csv":
+      return createCsvBlob(usersToCsv(users, columnKeys));
+    case "json":
+      return new Blob([usersToJson(users, columnKeys)], { type: mimeType });
+    case "xlsx":
+      return usersToXlsxBlob(users, columnKeys);
+    default:
+      throw new Error(`Unsupported export format: ${exportFormat}`);
+  }
+};
+
+/**
+ * Save a Blob through a temporary download link
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * File name such as "users-all-2024-05-01.csv"
+ */
+export const getExportFileName = (scope, exportFormat) =>
+  `users-${scope}-${format(new Date(), "yyyy-MM-dd")}.${
+    EXPORT_FORMATS[exportFormat].extension
+  }`;
+
+/**
+ * Export users in the given format and start the download
+ */
+export const exportUsers = async (
+  users,
+  { format: exportFormat = "csv", columns, fileName } = {}
+) => {
+  const blob = await createExportBlob(users, exportFormat, columns);
+  downloadBlob(blob, fileName || getExportFileName("export", exportFormat));
+};
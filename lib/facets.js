@@ -0,0 +1,26 @@
+// lib/facets.js
+// Facet filters pick several exact values of a field (e.g. countries). The
+// picked values travel as a repeated URL and API param
+// (`countries=Canada&countries=Korea%2C%20Republic%20of`), so a value may
+// contain commas.
+
+/**
+ * Picked values from a repeated param (`searchParams.getAll(...)`),
+ * trimmed and without blanks or repeats
+ */
+export const parseValueList = (values = []) => [
+  ...new Set(
+    []
+      .concat(values)
+      .map((value) => String(value ?? "").trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * Add or remove a value from a list of picked values
+ */
+export const toggleValue = (values, value) =>
+  values.includes(value)
+    ? values.filter((item) => item !== value)
+    : [...values, value];
@@ -0,0 +1,151 @@
+// lib/import.js
+// Turn parsed CSV rows into validated user data for the import wizard.
+
+import { USER_FIELDS, userSchema, validateUser } from "@/lib/validations";
+import { parseCalendarDate, toCalendarDate } from "@/lib/dates";
+import { formatCsv, unescapeCsvValue } from "@/lib/csv";
+
+// Header spellings recognized when guessing the column mapping
+const HEADER_ALIASES = {
+  name: ["name", "full name", "fullname", "user name"],
+  email: ["email", "e-mail", "email address", "mail"],
+  mobileNumber: [
+    "mobile",
+    "mobile number",
+    "mobilenumber",
+    "phone",
+    "phone number",
+    "telephone",
+  ],
+  country: ["country", "nation", "country name"],
+  birthday: ["birthday", "birth date", "date of birth", "dob", "birthdate"],
+  aboutYou: ["about", "about you", "aboutyou", "bio", "description"],
+};
+
+const normalizeHeader = (header) =>
+  String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+
+/**
+ * Guess `{ field: columnIndex | null }` from the CSV header row
+ */
+export const guessColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return Object.fromEntries(
+    USER_FIELDS.map((field) => {
+      const index = normalized.findIndex((header) =>
+        HEADER_ALIASES[field].includes(header)
+      );
+      return [field, index === -1 ? null : index];
+    })
+  );
+};
+
+// Keys used to spot the same person twice
+const emailKey = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+const mobileKey = (mobile) => String(mobile || "").replace(/[\s\-()]/g, "");
+
+/**
+ * Build the user object for one CSV row using the column mapping
+ */
+export const mapImportRow = (values, mapping) => {
+  const data = {};
+
+  USER_FIELDS.forEach((field) => {
+    const index = mapping[field];
+    const raw = index === null || index === undefined ? "" : values[index];
+    const value = unescapeCsvValue(raw).trim();
+
+    data[field] = field === "birthday" ? toCalendarDate(value) || value : value;
+  });
+
+  return data;
+};
+
+/**
+ * Distinct emails and mobile numbers in the file, to check against the
+ * existing users before validating
+ */
+export const getImportContacts = (dataRows, mapping) => {
+  const rows = dataRows.map((values) => mapImportRow(values, mapping));
+  const distinct = (field) => [
+    ...new Set(rows.map((data) => data[field]).filter(Boolean)),
+  ];
+
+  return { emails: distinct("email"), mobileNumbers: distinct("mobileNumber") };
+};
+
+/**
+ * Validate every row with the form rules and flag duplicates, both within
+ * the file and against `existing` (`{ emails, mobileNumbers }` already
+ * taken, see getImportContacts).
+ *
+ * Returns `[{ rowNumber, values, data, errors }]` where `rowNumber` is the
+ * line in the file (the header is line 1) and `errors` maps fields to
+ * messages; a row is importable when `errors` is empty.
+ */
+export const validateImportRows = (dataRows, mapping, existing = {}) => {
+  const existingEmails = new Set((existing.emails || []).map(emailKey));
+  const existingMobiles = new Set(
+    (existing.mobileNumbers || []).map(mobileKey)
+  );
+  const seenEmails = new Map();
+  const seenMobiles = new Map();
+
+  return dataRows.map((values, index) => {
+    const rowNumber = index + 2;
+    const data = mapImportRow(values, mapping);
+    const errors = validateUser(data);
+
+    // validateUser reports unparseable dates as missing
+    if (data.birthday && !parseCalendarDate(data.birthday)) {
+      errors.birthday = `${userSchema.birthday.label} must be a date in YYYY-MM-DD format`;
+    }
+
+    const email = emailKey(data.email);
+    if (email && !errors.email) {
+      if (existingEmails.has(email)) {
+        errors.email = "A user with this email already exists";
+      } else if (seenEmails.has(email)) {
+        errors.email = `Duplicate email (same as row ${seenEmails.get(email)})`;
+      } else {
+        seenEmails.set(email, rowNumber);
+      }
+    }
+
+    const mobile = mobileKey(data.mobileNumber);
+    if (mobile && !errors.mobileNumber) {
+      if (existingMobiles.has(mobile)) {
+        errors.mobileNumber = "A user with this mobile number already exists";
+      } else if (seenMobiles.has(mobile)) {
+        errors.mobileNumber = `Duplicate mobile number (same as row ${seenMobiles.get(
+          mobile
+        )})`;
+      } else {
+        seenMobiles.set(mobile, rowNumber);
+      }
+    }
+
+    return { rowNumber, values, data, errors };
+  });
+};
+
+/**
+ * CSV of the rows that were not imported: the original columns plus the
+ * row number and the reasons, so the file can be fixed and re-imported.
+ */
+export const buildImportErrorReport = (headers, failedRows) =>
+  formatCsv([
+    ["Row", ...headers, "Errors"],
+    ...failedRows.map(({ rowNumber, values, errors }) => [
+      rowNumber,
+      ...headers.map((_, index) => values[index] ?? ""),
+      Object.values(errors).join("; "),
+    ]),
+  ]);
@@ -0,0 +1,64 @@
+// lib/mockApi.js
+// Helpers shared by the /api/users route handlers (mostly the mock API).
+
+import { NextResponse } from "next/server";
+import { configureUserSchema, validateUser } from "@/lib/validations";
+import { readRuntimeConfig } from "@/lib/runtimeConfig";
+
+// Enable the in-repo mock backend with USE_MOCK_API=true (read at runtime)
+export const isMockApiEnabled = () => process.env.USE_MOCK_API === "true";
+
+/**
+ * Respond with the backend's `{ error, payload }` envelope
+ */
+export const respond = (status, payload) =>
+  NextResponse.json({ error: status >= 400, payload }, { status });
+
+/**
+ * 400 response unless `id` is a numeric user id, or null when it is valid.
+ * Checked before proxying too, so a crafted id (e.g. "..%2Fadmin") cannot
+ * reach other backend paths with the server's credentials.
+ */
+export const invalidIdResponse = (id) =>
+  /^\d+$/.test(id) ? null : respond(400, "Invalid user id");
+
+/**
+ * Parse a JSON request body, or null when it is missing or malformed
+ */
+export const readJsonBody = async (request) => {
+  try {
+    const body = await request.json();
+    return body && typeof body === "object" && !Array.isArray(body)
+      ? body
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Validate a user payload; returns a 400 response or null when valid
+ */
+export const validationResponse = (data, isUpdate = false) => {
+  // Enforce the same per-deployment limits the browser received
+  configureUserSchema(readRuntimeConfig().validation);
+
+  const fieldErrors = validateUser(data, { partial: isUpdate });
+  const errors = Object.entries(fieldErrors).map(([field, message]) => ({
+    field,
+    message,
+  }));
+
+  return errors.length
+    ? respond(400, { message: "Invalid data provided", errors })
+    : null;
+};
+
+// Duplicate messages mirror the real backend's wording
+const CONFLICT_MESSAGES = {
+  email: "User with this email already exists",
+  mobileNumber: "User with this mobile number already exists",
+};
+
+export const conflictResponse = (field) =>
+  respond(409, CONFLICT_MESSAGES[field]);
@@ -0,0 +1,414 @@
+// lib/mockStore.js
+// In-memory user store backing the mock /api/users route handlers.
+// Set MOCK_API_DATA_FILE to persist the data to a JSON file between restarts.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { resolveSort } from "@/lib/sort";
+import { matchesQuery, parseQuery } from "@/lib/userQuery";
+import { parseValueList } from "@/lib/facets";
+
+const DATA_FILE = process.env.MOCK_API_DATA_FILE
+  ? path.resolve(process.cwd(), process.env.MOCK_API_DATA_FILE)
+  : null;
+
+// Columns the list endpoint accepts in `sortBy` and `sort`
+const SORTABLE_FIELDS = [
+  "id",
+  "name",
+  "email",
+  "mobileNumber",
+  "country",
+  "birthday",
+  "createdAt",
+  "updatedAt",
+];
+
+const SEED_USERS = [
+  ["Amelia Hart", "Australia", "1991-03-14"],
+  ["Kasun Perera", "Sri Lanka", "1988-11-02"],
+  ["Lucas Schmidt", "Germany", "1995-07-21"],
+  ["Sofia Rossi", "Italy", "1993-01-30"],
+  ["Hiroshi Tanaka", "Japan", "1985-09-09"],
+  ["Olivia Brown", "United Kingdom", "1999-12-05"],
+  ["Mateo Garcia", "Spain", "1990-04-18"],
+  ["Priya Sharma", "India", "1997-06-27"],
+  ["Noah Wilson", "Canada", "1983-02-11"],
+  ["Emma Dubois", "France", "1996-10-23"],
+  ["Liam Murphy", "Ireland", "1992-08-15"],
+  ["Chloe Martin", "Canada", "2000-05-01"],
+  ["Ethan Johnson", "USA", "1987-03-29"],
+  ["Mia Andersson", "Sweden", "1994-11-17"],
+  ["Nimal Fernando", "Sri Lanka", "1980-01-08"],
+  ["Ava Thompson", "USA", "1998-09-12"],
+  ["Jonas Berg", "Norway", "1989-12-24"],
+  ["Isabella Costa", "Brazil", "1993-07-04"],
+  ["Daniel Kim", "South Korea", "1991-05-19"],
+  ["Zara Ahmed", "Pakistan", "1996-02-26"],
+];
+
+// Build deterministic sample users, created one day apart
+const createSeedUsers = () => {
+  const now = Date.now();
+
+  return SEED_USERS.map(([name, country, birthday], index) => {
+    const createdAt = new Date(
+      now - (SEED_USERS.length - index) * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    return {
+      id: index + 1,
+      name,
+      email: `${name.toLowerCase().replace(/\s+/g, ".")}@example.com`,
+      mobileNumber: `+1555000${String(index + 1).padStart(4, "0")}`,
+      country,
+      birthday,
+      aboutYou: `Hi, I'm ${name.split(" ")[0]} from ${country}. This is a sample profile.`,
+      createdAt,
+      updatedAt: createdAt,
+    };
+  });
+};
+
+// Survive hot reloads in development by keeping state on globalThis
+const getState = async () => {
+  if (!globalThis.__mockUserStore) {
+    let users = null;
+
+    if (DATA_FILE) {
+      try {
+        users = JSON.parse(await fs.readFile(DATA_FILE, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.error("Failed to read mock data file:", error);
+        }
+      }
+    }
+
+    users = users || createSeedUsers();
+    globalThis.__mockUserStore = {
+      users,
+      nextId: users.reduce((max, user) => Math.max(max, user.id), 0) + 1,
+      // Idempotency-Key -> id of the user created with it (not persisted)
+      createdByKey: new Map(),
+    };
+  }
+
+  return globalThis.__mockUserStore;
+};
+
+const persist = async (state) => {
+  if (!DATA_FILE) return;
+
+  try {
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    await fs.writeFile(DATA_FILE, JSON.stringify(state.users, null, 2));
+  } catch (error) {
+    console.error("Failed to write mock data file:", error);
+  }
+};
+
+const includesText = (value, query) =>
+  String(value || "")
+    .toLowerCase()
+    .includes(query.toLowerCase());
+
+// `createdAt` falls within [fromDate, toDate] (inclusive calendar days)
+const inDateRange = (user, fromDate, toDate) => {
+  const created = user.createdAt.slice(0, 10);
+  if (fromDate && created < fromDate) return false;
+  if (toDate && created > toDate) return false;
+  return true;
+};
+
+// Soft-deleted users live in the trash until restored or purged
+const isActive = (user) => !user.deletedAt;
+const isDeleted = (user) => Boolean(user.deletedAt);
+
+const compareValues = (a, b) => {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a ?? "").localeCompare(String(b ?? ""), undefined, {
+    sensitivity: "base",
+  });
+};
+
+// Slice a sorted list into the backend's `{ users, pagination }` shape
+const paginate = (users, query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 100);
+  const totalItems = users.length;
+  const totalPages = Math.ceil(totalItems / limit);
+  const currentPage = Math.max(parseInt(query.page) || 1, 1);
+  const offset = (currentPage - 1) * limit;
+
+  return {
+    users: users.slice(offset, offset + limit),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalItems,
+      itemsPerPage: limit,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+      nextPage: currentPage < totalPages ? currentPage + 1 : null,
+      prevPage: currentPage > 1 ? currentPage - 1 : null,
+    },
+  };
+};
+
+// Active users matching the list filters
+const filterUsers = (users, query) => {
+  const { name, email, country, fromDate, toDate, search } = query;
+  // Advanced query builder conditions, combined with the filters above
+  const advanced = parseQuery(query.q);
+  // Exact countries picked in the country facet
+  const countries = parseValueList(query.countries).map((value) =>
+    value.toLowerCase()
+  );
+
+  return users.filter(
+    (user) =>
+      isActive(user) &&
+      (!name || includesText(user.name, name)) &&
+      (!email || includesText(user.email, email)) &&
+      (!country || includesText(user.country, country)) &&
+      (!countries.length ||
+        countries.includes(String(user.country || "").toLowerCase())) &&
+      inDateRange(user, fromDate, toDate) &&
+      (!search ||
+        ["name", "email", "aboutYou", "country"].some((field) =>
+          includesText(user[field], search)
+        )) &&
+      matchesQuery(advanced, user)
+  );
+};
+
+/**
+ * Filter, sort and paginate users the way the real backend does
+ */
+export const listUsers = async (query = {}) => {
+  const state = await getState();
+  let users = filterUsers(state.users, query);
+
+  // `sort` ("country:ASC,createdAt:DESC") takes precedence over sortBy
+  let sort = resolveSort(query).filter(({ field }) =>
+    SORTABLE_FIELDS.includes(field)
+  );
+  if (!sort.length) sort = resolveSort();
+
+  users = [...users].sort((a, b) => {
+    for (const { field, order } of sort) {
+      const result = compareValues(a[field], b[field]);
+      if (result !== 0) return order === "ASC" ? result : -result;
+    }
+    return 0;
+  });
+
+  return paginate(users, query);
+};
+
+/**
+ * Number of users per country for the list filters, most common first.
+ * The country facet's own selection is ignored so every option keeps a
+ * count and more countries can be picked.
+ */
+export const countUserFacets = async (query = {}) => {
+  const state = await getState();
+  const counts = new Map();
+
+  filterUsers(state.users, { ...query, countries: undefined }).forEach(
+    (user) => {
+      if (user.country) {
+        counts.set(user.country, (counts.get(user.country) || 0) + 1);
+      }
+    }
+  );
+
+  return {
+    country: [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || compareValues(a.value, b.value)),
+  };
+};
+
+/**
+ * Users in the trash, most recently deleted first
+ */
+export const listDeletedUsers = async (query = {}) => {
+  const state = await getState();
+  const users = state.users
+    .filter(isDeleted)
+    .sort((a, b) => compareValues(b.deletedAt, a.deletedAt));
+
+  return paginate(users, query);
+};
+
+/**
+ * Find an active user by id, or null
+ */
+export const findUser = async (id) => {
+  const state = await getState();
+  return (
+    state.users.find((user) => user.id === Number(id) && isActive(user)) || null
+  );
+};
+
+/**
+ * Find a user in the trash by id, or null
+ */
+export const findDeletedUser = async (id) => {
+  const state = await getState();
+  return (
+    state.users.find((user) => user.id === Number(id) && isDeleted(user)) ||
+    null
+  );
+};
+
+/**
+ * Name of the unique field already taken by another user, or null
+ */
+export const findConflict = async (data, ignoreId = null) => {
+  const state = await getState();
+  const others = state.users.filter(
+    (user) => user.id !== Number(ignoreId) && isActive(user)
+  );
+
+  if (
+    data.email &&
+    others.some((user) => user.email.toLowerCase() === data.email.toLowerCase())
+  ) {
+    return "email";
+  }
+  if (
+    data.mobileNumber &&
+    others.some((user) => user.mobileNumber === data.mobileNumber)
+  ) {
+    return "mobileNumber";
+  }
+  return null;
+};
+
+/**
+ * Which of the emails and mobile numbers already belong to active users,
+ * compared the way findConflict compares them
+ */
+export const findExistingContacts = async ({
+  emails = [],
+  mobileNumbers = [],
+}) => {
+  const state = await getState();
+  const active = state.users.filter(isActive);
+  const takenEmails = new Set(active.map((user) => user.email.toLowerCase()));
+  const takenMobiles = new Set(active.map((user) => user.mobileNumber));
+
+  return {
+    emails: emails.filter((email) => takenEmails.has(email.toLowerCase())),
+    mobileNumbers: mobileNumbers.filter((mobile) => takenMobiles.has(mobile)),
+  };
+};
+
+// Only these fields can be written through the API
+const pickUserFields = (data) => {
+  const fields = [
+    "name",
+    "email",
+    "mobileNumber",
+    "country",
+    "birthday",
+    "aboutYou",
+  ];
+  return Object.fromEntries(
+    fields
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, data[field]])
+  );
+};
+
+/**
+ * Insert a new user and return it
+ */
+export const insertUser = async (data, { idempotencyKey } = {}) => {
+  const state = await getState();
+  const now = new Date().toISOString();
+  const user = {
+    id: state.nextId++,
+    ...pickUserFields(data),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  state.users.push(user);
+  if (idempotencyKey) {
+    state.createdByKey.set(idempotencyKey, user.id);
+  }
+  await persist(state);
+  return user;
+};
+
+/**
+ * User created earlier with this Idempotency-Key, or null. Keys are only
+ * remembered while the server runs.
+ */
+export const findUserByIdempotencyKey = async (idempotencyKey) => {
+  const state = await getState();
+  const id = state.createdByKey.get(idempotencyKey);
+  return id === undefined
+    ? null
+    : state.users.find((user) => user.id === id) || null;
+};
+
+/**
+ * Apply a partial update and return the updated user, or null
+ */
+export const patchUser = async (id, data) => {
+  const state = await getState();
+  const user = state.users.find(
+    (item) => item.id === Number(id) && isActive(item)
+  );
+  if (!user) return null;
+
+  Object.assign(user, pickUserFields(data), {
+    updatedAt: new Date().toISOString(),
+  });
+  await persist(state);
+  return user;
+};
+
+/**
+ * Move a user to the trash; returns false when it did not exist
+ */
+export const removeUser = async (id) => {
+  const user = await findUser(id);
+  if (!user) return false;
+
+  user.deletedAt = new Date().toISOString();
+  await persist(await getState());
+  return true;
+};
+
+/**
+ * Bring a user back from the trash; returns the user, or null
+ */
+export const restoreUser = async (id) => {
+  const user = await findDeletedUser(id);
+  if (!user) return null;
+
+  delete user.deletedAt;
+  user.updatedAt = new Date().toISOString();
+  await persist(await getState());
+  return user;
+};
+
+/**
+ * Permanently delete a user from the trash; returns false when not found
+ */
+export const purgeUser = async (id) => {
+  const state = await getState();
+  const index = state.users.findIndex(
+    (user) => user.id === Number(id) && isDeleted(user)
+  );
+  if (index === -1) return false;
+
+  state.users.splice(index, 1);
+  await persist(state);
+  return true;
+};
@@ -0,0 +1,56 @@
+// lib/queryCache.js
+
+// Entries older than this are dropped instead of being served as stale data
+const MAX_AGE_MS = 5 * 60 * 1000;
+
+// Keep the cache bounded when paging through large result sets
+const MAX_ENTRIES = 50;
+
+// key -> { data, updatedAt }
+const cache = new Map();
+
+/**
+ * Read a cached value, or null when missing or expired
+ */
+export const getCached = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.updatedAt > MAX_AGE_MS) {
+    cache.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store a value under `key`, evicting the oldest entry when full
+ */
+export const setCached = (key, data) => {
+  // Re-insert so Map iteration order reflects recency
+  cache.delete(key);
+  cache.set(key, { data, updatedAt: Date.now() });
+
+  if (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+/**
+ * Drop a single entry
+ */
+export const deleteCached = (key) => {
+  cache.delete(key);
+};
+
+/**
+ * Drop every entry whose key starts with `prefix` (all entries if omitted)
+ */
+export const invalidateCached = (prefix = "") => {
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) {
+      cache.delete(key);
+    }
+  }
+};
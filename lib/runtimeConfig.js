@@ -0,0 +1,51 @@
+// lib/runtimeConfig.js
+// Client-facing API settings read from the server environment at request
+// time, so one build can be promoted through dev, staging and production.
+
+// Parse a non-negative integer env var; undefined keeps the client default
+const readInt = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+
+// Boolean env var, "true" to enable
+const readFlag = (name) => process.env[name] === "true";
+
+// Drop unset values so they do not override the client defaults
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+/**
+ * Settings exposed to the browser through GET /api/config.
+ * Never put secrets here - BACKEND_API_URL and credentials stay server-side.
+ */
+export const readRuntimeConfig = () =>
+  compact({
+    // Empty means same-origin (the /api proxy)
+    apiBaseUrl: process.env.API_PUBLIC_BASE_URL?.replace(/\/+$/, ""),
+    requestTimeoutMs: readInt("API_TIMEOUT_MS"),
+    retry: compact({
+      retries: readInt("API_RETRY_COUNT"),
+      baseDelayMs: readInt("API_RETRY_BASE_DELAY_MS"),
+      maxDelayMs: readInt("API_RETRY_MAX_DELAY_MS"),
+    }),
+    // Per-deployment limits for lib/validations.js
+    validation: {
+      name: compact({
+        minLength: readInt("VALIDATION_NAME_MIN_LENGTH"),
+        maxLength: readInt("VALIDATION_NAME_MAX_LENGTH"),
+      }),
+      country: compact({
+        minLength: readInt("VALIDATION_COUNTRY_MIN_LENGTH"),
+        maxLength: readInt("VALIDATION_COUNTRY_MAX_LENGTH"),
+      }),
+    },
+    // What the backend supports beyond the basic list filters. The mock
+    // backend (USE_MOCK_API) evaluates advanced queries itself.
+    features: {
+      advancedQuery:
+        readFlag("API_SUPPORTS_ADVANCED_QUERY") || readFlag("USE_MOCK_API"),
+    },
+  });
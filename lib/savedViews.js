@@ -0,0 +1,141 @@
+// lib/savedViews.js
+// Named combinations of filters, sort and page size for /users. Saved per
+// browser and shared between teammates as JSON files.
+
+import { DEFAULT_SORT, formatSortSpec, resolveSort } from "@/lib/sort";
+import { readStorage, writeStorage } from "@/lib/storage";
+
+const STORAGE_KEY = "users.savedViews";
+const EXPORT_VERSION = 1;
+const DEFAULT_LIMIT = "10";
+
+/**
+ * URL params a view captures
+ */
+export const VIEW_PARAMS = [
+  "search",
+  "name",
+  "email",
+  "country",
+  "countries",
+  "fromDate",
+  "toDate",
+  "q",
+  "sort",
+  "limit",
+];
+
+const createViewId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Canonical query string of the view params in `searchParams`. Defaults
+ * are left out so equal views compare equal.
+ */
+export const getViewQuery = (searchParams) => {
+  const source = new URLSearchParams(searchParams);
+  const query = new URLSearchParams();
+
+  // getAll keeps every value of repeated params such as `countries`
+  VIEW_PARAMS.forEach((key) => {
+    source
+      .getAll(key)
+      .filter(Boolean)
+      .forEach((value) => query.append(key, value));
+  });
+
+  // Links from before multi-column sorting use sortBy/sortOrder
+  const sort = formatSortSpec(
+    resolveSort({
+      sort: source.get("sort"),
+      sortBy: source.get("sortBy"),
+      sortOrder: source.get("sortOrder"),
+    })
+  );
+  if (sort === formatSortSpec(DEFAULT_SORT)) {
+    query.delete("sort");
+  } else {
+    query.set("sort", sort);
+  }
+
+  if (query.get("limit") === DEFAULT_LIMIT) {
+    query.delete("limit");
+  }
+
+  return query.toString();
+};
+
+// Keep well-formed views only, with their query in canonical form
+const normalizeViews = (views) =>
+  (Array.isArray(views) ? views : [])
+    .filter(
+      (view) =>
+        view &&
+        typeof view.name === "string" &&
+        view.name.trim() &&
+        typeof view.query === "string"
+    )
+    .map((view) => ({
+      id: typeof view.id === "string" && view.id ? view.id : createViewId(),
+      name: view.name.trim(),
+      query: getViewQuery(view.query),
+    }));
+
+/**
+ * Saved views for this browser: `{ views, defaultViewId }`
+ */
+export const loadSavedViews = () => {
+  const saved = readStorage(STORAGE_KEY);
+  const views = normalizeViews(saved?.views);
+  const defaultViewId = views.some((view) => view.id === saved?.defaultViewId)
+    ? saved.defaultViewId
+    : null;
+  return { views, defaultViewId };
+};
+
+/**
+ * Persist the views
+ */
+export const saveSavedViews = (state) => writeStorage(STORAGE_KEY, state);
+
+/**
+ * New view for the view params in `searchParams`
+ */
+export const createView = (name, searchParams) => ({
+  id: createViewId(),
+  name: name.trim(),
+  query: getViewQuery(searchParams),
+});
+
+/**
+ * JSON file contents for sharing views
+ */
+export const exportViews = (views) =>
+  JSON.stringify(
+    {
+      version: EXPORT_VERSION,
+      views: views.map(({ name, query }) => ({ name, query })),
+    },
+    null,
+    2
+  );
+
+/**
+ * Views from an exported JSON file, with fresh ids. Throws when the file
+ * is not a views export.
+ */
+export const parseImportedViews = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  const views = normalizeViews(Array.isArray(data) ? data : data?.views);
+  if (!views.length) {
+    throw new Error("The file does not contain any saved views");
+  }
+
+  return views.map((view) => ({ ...view, id: createViewId() }));
+};
@@ -0,0 +1,75 @@
+// lib/sort.js
+// Multi-column sort specs: `[{ field, order }]` in priority order, written
+// as "country:ASC,createdAt:DESC" in the URL and the API's `sort` param.
+
+export const DEFAULT_SORT = [{ field: "createdAt", order: "DESC" }];
+
+const normalizeOrder = (order) =>
+  String(order).toUpperCase() === "ASC" ? "ASC" : "DESC";
+
+/**
+ * Parse "field:ORDER,..." into a sort spec. Unknown formats are skipped and
+ * a field only counts once; returns [] when nothing is usable.
+ */
+export const parseSortSpec = (value) => {
+  const sort = [];
+
+  String(value || "")
+    .split(",")
+    .forEach((part) => {
+      const [field, order = "DESC"] = part.trim().split(":");
+      if (!field || sort.some((key) => key.field === field)) return;
+      sort.push({ field, order: normalizeOrder(order) });
+    });
+
+  return sort;
+};
+
+/**
+ * Serialize a sort spec for the URL or the API
+ */
+export const formatSortSpec = (sort = []) =>
+  sort.map(({ field, order }) => `${field}:${order}`).join(",");
+
+/**
+ * Sort spec from `{ sort }`, `{ sort: "a:ASC,..." }` or the single-key
+ * `{ sortBy, sortOrder }` params, falling back to DEFAULT_SORT
+ */
+export const resolveSort = ({ sort, sortBy, sortOrder } = {}) => {
+  const spec = Array.isArray(sort) ? sort : parseSortSpec(sort);
+  if (spec.length) return spec;
+
+  return sortBy
+    ? [{ field: sortBy, order: normalizeOrder(sortOrder) }]
+    : DEFAULT_SORT;
+};
+
+/**
+ * Sort spec after clicking a column header.
+ *
+ * A plain click sorts by that column alone, toggling the order if it was
+ * already the primary key. With `additive` (shift-click) the column is
+ * appended as the next key, or cycles DESC -> ASC -> removed if present.
+ */
+export const toggleSortField = (sort, field, { additive = false } = {}) => {
+  const current = sort.find((key) => key.field === field);
+
+  if (!additive) {
+    const toggled = sort[0]?.field === field && current.order === "DESC";
+    return [{ field, order: toggled ? "ASC" : "DESC" }];
+  }
+
+  if (!current) {
+    return [...sort, { field, order: "DESC" }];
+  }
+  if (current.order === "DESC") {
+    return sort.map((key) =>
+      key.field === field ? { field, order: "ASC" } : key
+    );
+  }
+
+  // Removing the last key would leave nothing to sort by
+  return sort.length > 1
+    ? sort.filter((key) => key.field !== field)
+    : [{ field, order: "DESC" }];
+};
@@ -0,0 +1,38 @@
+// lib/storage.js
+// Per-browser settings in localStorage. Storage can be disabled (private
+// mode, policies), full or hold stale JSON, none of which is fatal: reads
+// fall back and writes only warn. Only call these after mount, since
+// localStorage does not exist while rendering on the server.
+
+/**
+ * Parsed JSON stored under `key`, or null when missing or unreadable
+ */
+export const readStorage = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store `value` as JSON under `key`
+ */
+export const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+};
+
+/**
+ * Remove whatever is stored under `key`
+ */
+export const removeStorage = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Could not remove ${key}:`, error);
+  }
+};
@@ -0,0 +1,143 @@
+// lib/userColumns.js
+// Columns of the desktop user table and the per-browser layout (visibility,
+// order and widths) chosen with the column chooser.
+
+import { readStorage, removeStorage, writeStorage } from "@/lib/storage";
+
+const STORAGE_KEY = "userTable.columns";
+
+/**
+ * Columns the table can show. `sortKey` is the field sent to the API for
+ * sortable columns; `editable` columns support inline editing.
+ */
+export const USER_COLUMNS = [
+  { key: "name", label: "Name", sortKey: "name", editable: true, width: 180 },
+  {
+    key: "email",
+    label: "Email",
+    sortKey: "email",
+    editable: true,
+    width: 240,
+  },
+  { key: "aboutYou", label: "About", width: 220 },
+  {
+    key: "birthday",
+    label: "Birthday",
+    sortKey: "birthday",
+    editable: true,
+    width: 140,
+  },
+  { key: "age", label: "Age", width: 80, hidden: true },
+  {
+    key: "mobileNumber",
+    label: "Mobile",
+    sortKey: "mobileNumber",
+    editable: true,
+    width: 160,
+  },
+  {
+    key: "country",
+    label: "Country",
+    sortKey: "country",
+    editable: true,
+    width: 150,
+  },
+  { key: "createdAt", label: "Created", sortKey: "createdAt", width: 130 },
+  {
+    key: "updatedAt",
+    label: "Updated",
+    sortKey: "updatedAt",
+    width: 130,
+    hidden: true,
+  },
+];
+
+// Narrowest a column can be resized to
+export const MIN_COLUMN_WIDTH = 60;
+
+const COLUMN_KEYS = USER_COLUMNS.map((column) => column.key);
+
+/**
+ * Layout used until the user changes it
+ */
+export const DEFAULT_COLUMN_LAYOUT = {
+  order: COLUMN_KEYS,
+  hidden: USER_COLUMNS.filter((column) => column.hidden).map(
+    (column) => column.key
+  ),
+  widths: {},
+};
+
+// Drop unknown columns and append ones added since the layout was saved
+const normalizeLayout = (layout) => {
+  const order = Array.isArray(layout?.order)
+    ? layout.order.filter((key) => COLUMN_KEYS.includes(key))
+    : [];
+  COLUMN_KEYS.forEach((key) => {
+    if (!order.includes(key)) order.push(key);
+  });
+
+  const hidden = Array.isArray(layout?.hidden)
+    ? layout.hidden.filter((key) => COLUMN_KEYS.includes(key))
+    : DEFAULT_COLUMN_LAYOUT.hidden;
+
+  const widths = Object.fromEntries(
+    Object.entries(layout?.widths || {}).filter(
+      ([key, width]) =>
+        COLUMN_KEYS.includes(key) &&
+        Number.isFinite(width) &&
+        width >= MIN_COLUMN_WIDTH
+    )
+  );
+
+  // Never end up with an empty table
+  return {
+    order,
+    hidden: hidden.length < COLUMN_KEYS.length ? hidden : [],
+    widths,
+  };
+};
+
+/**
+ * Saved layout for this browser, or the default
+ */
+export const loadColumnLayout = () => {
+  const saved = readStorage(STORAGE_KEY);
+  return saved ? normalizeLayout(saved) : DEFAULT_COLUMN_LAYOUT;
+};
+
+/**
+ * Persist the layout
+ */
+export const saveColumnLayout = (layout) => writeStorage(STORAGE_KEY, layout);
+
+/**
+ * Forget the saved layout
+ */
+export const clearColumnLayout = () => removeStorage(STORAGE_KEY);
+
+/**
+ * Columns to render, in layout order, with their effective width
+ */
+export const getVisibleColumns = (layout) =>
+  layout.order
+    .filter((key) => !layout.hidden.includes(key))
+    .map((key) => {
+      const column = USER_COLUMNS.find((item) => item.key === key);
+      return { ...column, width: layout.widths[key] || column.width };
+    });
+
+/**
+ * Move `key` to the position of `targetKey`; moving right places it after
+ * the target, moving left before it
+ */
+export const moveColumn = (layout, key, targetKey) => {
+  if (key === targetKey) return layout;
+
+  const movingRight =
+    layout.order.indexOf(key) < layout.order.indexOf(targetKey);
+  const order = layout.order.filter((item) => item !== key);
+  order.splice(order.indexOf(targetKey) + (movingRight ? 1 : 0), 0, key);
+
+  return { ...layout, order };
+};
@@ -0,0 +1,235 @@
+// lib/userQuery.js
+// Advanced user queries: nested AND/OR groups of field conditions, each of
+// which can be negated. Sent as JSON in the `q` URL and API param, e.g.
+//   { "combinator": "AND", "rules": [
+//       { "field": "country", "operator": "in", "value": ["Canada", "USA"] },
+//       { "combinator": "OR", "not": true, "rules": [...] } ] }
+
+import { toCalendarDate } from "@/lib/dates";
+
+/**
+ * Deepest group nesting; anything below it is dropped when parsing
+ */
+export const MAX_QUERY_DEPTH = 4;
+
+/**
+ * Fields a condition can test, with the type that picks its operators
+ */
+export const QUERY_FIELDS = [
+  { key: "name", label: "Name", type: "text" },
+  { key: "email", label: "Email", type: "text" },
+  { key: "mobileNumber", label: "Mobile", type: "text" },
+  { key: "country", label: "Country", type: "text" },
+  { key: "aboutYou", label: "About", type: "text" },
+  { key: "birthday", label: "Birthday", type: "date" },
+  { key: "createdAt", label: "Created", type: "date" },
+  { key: "updatedAt", label: "Updated", type: "date" },
+  { key: "id", label: "ID", type: "number" },
+];
+
+export const QUERY_OPERATORS = {
+  contains: { label: "contains", types: ["text"] },
+  equals: { label: "equals", types: ["text", "date", "number"] },
+  startsWith: { label: "starts with", types: ["text"] },
+  in: { label: "is one of", types: ["text", "number"] },
+  between: { label: "between", types: ["date", "number"] },
+};
+
+export const getQueryField = (key) =>
+  QUERY_FIELDS.find((field) => field.key === key);
+
+/**
+ * Operators available for a field, in display order
+ */
+export const getFieldOperators = (fieldKey) => {
+  const type = getQueryField(fieldKey)?.type;
+  return Object.keys(QUERY_OPERATORS).filter((operator) =>
+    QUERY_OPERATORS[operator].types.includes(type)
+  );
+};
+
+/**
+ * Empty value for an operator: lists for `in`, [from, to] for `between`
+ */
+export const getEmptyValue = (operator) => {
+  if (operator === "in") return [];
+  if (operator === "between") return ["", ""];
+  return "";
+};
+
+export const createQueryRule = (field = QUERY_FIELDS[0].key) => {
+  const operator = getFieldOperators(field)[0];
+  return { field, operator, value: getEmptyValue(operator), not: false };
+};
+
+export const createQueryGroup = () => ({
+  combinator: "AND",
+  not: false,
+  rules: [createQueryRule()],
+});
+
+export const isQueryGroup = (node) => Array.isArray(node?.rules);
+
+const cleanText = (value) =>
+  typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+
+// Condition with a known field, an operator allowed for it and a usable
+// value, or null
+const normalizeRule = (rule) => {
+  const field = getQueryField(rule?.field);
+  if (!field || !getFieldOperators(field.key).includes(rule.operator)) {
+    return null;
+  }
+
+  let value;
+  if (rule.operator === "in") {
+    value = (Array.isArray(rule.value) ? rule.value : [])
+      .map(cleanText)
+      .filter(Boolean);
+    if (!value.length) return null;
+  } else if (rule.operator === "between") {
+    value = (Array.isArray(rule.value) ? rule.value : [])
+      .slice(0, 2)
+      .map(cleanText);
+    // An open end leaves that side unbounded
+    if (!value[0] && !value[1]) return null;
+    value = [value[0] || "", value[1] || ""];
+  } else {
+    value = cleanText(rule.value);
+    if (!value) return null;
+  }
+
+  return {
+    field: field.key,
+    operator: rule.operator,
+    value,
+    ...(rule.not ? { not: true } : {}),
+  };
+};
+
+// Group without unusable conditions and empty subgroups, or null
+const normalizeGroup = (group, depth = 1) => {
+  if (!isQueryGroup(group) || depth > MAX_QUERY_DEPTH) return null;
+
+  const rules = group.rules
+    .map((node) =>
+      isQueryGroup(node) ? normalizeGroup(node, depth + 1) : normalizeRule(node)
+    )
+    .filter(Boolean);
+  if (!rules.length) return null;
+
+  return {
+    combinator: group.combinator === "OR" ? "OR" : "AND",
+    ...(group.not ? { not: true } : {}),
+    rules,
+  };
+};
+
+/**
+ * Compact, valid form of a query; null when it has no usable conditions
+ */
+export const normalizeQuery = (query) => normalizeGroup(query);
+
+/**
+ * `q` param for a query, or "" when it has no usable conditions
+ */
+export const serializeQuery = (query) => {
+  const normalized = normalizeQuery(query);
+  return normalized ? JSON.stringify(normalized) : "";
+};
+
+/**
+ * Query from a `q` param, or null when it is missing or malformed
+ */
+export const parseQuery = (value) => {
+  if (!value) return null;
+
+  try {
+    return normalizeQuery(JSON.parse(value));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Comparable form of a field value or an operand
+const toComparable = (type, value) => {
+  if (type === "date") return toCalendarDate(value);
+  if (type === "number") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return String(value ?? "").toLowerCase();
+};
+
+const matchesRule = (rule, user) => {
+  const { type } = getQueryField(rule.field);
+  const actual = toComparable(type, user[rule.field]);
+  const operand = (value) => toComparable(type, value);
+
+  switch (rule.operator) {
+    case "contains":
+      return actual.includes(operand(rule.value));
+    case "startsWith":
+      return actual.startsWith(operand(rule.value));
+    case "equals":
+      return actual !== null && actual === operand(rule.value);
+    case "in":
+      return rule.value.some((value) => actual === operand(value));
+    case "between": {
+      if (actual === null) return false;
+      const [from, to] = rule.value.map((value) =>
+        value === "" ? null : operand(value)
+      );
+      return (from === null || actual >= from) && (to === null || actual <= to);
+    }
+    default:
+      return false;
+  }
+};
+
+const matchesNode = (node, user) => {
+  const matched = isQueryGroup(node)
+    ? node.combinator === "OR"
+      ? node.rules.some((child) => matchesNode(child, user))
+      : node.rules.every((child) => matchesNode(child, user))
+    : matchesRule(node, user);
+
+  return node.not ? !matched : matched;
+};
+
+/**
+ * Whether a user matches a normalized query. Used by the mock backend;
+ * text comparisons ignore case and dates compare by calendar day.
+ */
+export const matchesQuery = (query, user) => !query || matchesNode(query, user);
+
+const describeValue = (rule) => {
+  if (rule.operator === "in") return rule.value.join(", ");
+  if (rule.operator === "between") {
+    const [from, to] = rule.value;
+    return `${from || "…"} and ${to || "…"}`;
+  }
+  return `"${rule.value}"`;
+};
+
+/**
+ * One-line, human readable summary of a normalized query
+ */
+export const describeQuery = (query, nested = false) => {
+  if (!query) return "";
+
+  const text = query.rules
+    .map((node) =>
+      isQueryGroup(node)
+        ? describeQuery(node, true)
+        : `${node.not ? "NOT " : ""}${getQueryField(node.field).label} ${
+            QUERY_OPERATORS[node.operator].label
+          } ${describeValue(node)}`
+    )
+    .join(` ${query.combinator} `);
+
+  const grouped = nested && query.rules.length > 1 ? `(${text})` : text;
+  return query.not ? `NOT (${text})` : grouped;
+};
@@ -0,0 +1,238 @@
+// lib/validations.js
+// Single source of truth for user validation, shared by UserForm, the API
+// client and the mock backend. UI hints (counters, placeholders) read the
+// same rules so they never drift from what is enforced.
+
+import { parseCalendarDate } from "@/lib/dates";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Unicode letters (with combining marks), with words joined by spaces,
+// apostrophes, hyphens, periods or commas: "José", "O'Brien",
+// "Nguyễn Văn An", "J.R.R. Tolkien", "Martin Luther King, Jr."
+const NAME_PATTERN =
+  /^[\p{L}\p{M}]+(?:(?:\s+|\s*['’\-]\s*|[.,]\s*)[\p{L}\p{M}]+)*\.?$/u;
+
+// Looser, as official country names also use parentheses and ampersands:
+// "Côte d'Ivoire", "Korea, Republic of", "St. Lucia", "Congo (Kinshasa)",
+// "Trinidad & Tobago"
+const COUNTRY_PATTERN = /^\p{L}[\p{L}\p{M}\s.,'’&()\-]*[\p{L}\p{M}.)]$/u;
+
+/**
+ * Declarative rules per user field.
+ *
+ * - `type`: "string" (default) or "date" (Date or YYYY-MM-DD string)
+ * - `minLength` / `maxLength`: applied to the trimmed / raw string length
+ * - `pattern`: RegExp the value must match
+ * - `notInFuture` / `maxAgeYears`: date rules
+ * - `messages`: overrides for the generated error messages; either a string
+ *   or a function of the rule, so messages follow configured limits
+ */
+export const userSchema = {
+  name: {
+    label: "Name",
+    required: true,
+    minLength: 2,
+    maxLength: 50,
+    pattern: NAME_PATTERN,
+    messages: {
+      required: (rule) =>
+        `Name is required and must be at least ${rule.minLength} characters`,
+      pattern:
+        "Name should only contain letters, spaces, periods, commas, apostrophes and hyphens",
+    },
+  },
+  email: {
+    label: "Email",
+    required: true,
+    pattern: EMAIL_PATTERN,
+    messages: {
+      pattern: "Invalid email format",
+    },
+  },
+  mobileNumber: {
+    label: "Mobile number",
+    required: true,
+    minLength: 10,
+    pattern: /^[+]?[\d\s\-()]{10,15}$/,
+    hint: "Include country code if international (e.g., +1234567890)",
+    messages: {
+      required: (rule) =>
+        `Mobile number is required and must be at least ${rule.minLength} characters`,
+      pattern: "Invalid mobile number format",
+    },
+  },
+  country: {
+    label: "Country",
+    required: true,
+    minLength: 2,
+    // Long enough for official names such as "Saint Vincent and the Grenadines"
+    maxLength: 56,
+    pattern: COUNTRY_PATTERN,
+    messages: {
+      required: (rule) =>
+        `Country is required and must be at least ${rule.minLength} characters`,
+      pattern:
+        "Country should start with a letter and only contain letters, spaces and . , ' - & ( )",
+    },
+  },
+  birthday: {
+    label: "Birthday",
+    type: "date",
+    required: true,
+    notInFuture: true,
+    maxAgeYears: 120,
+    messages: {
+      notInFuture: "Birthday cannot be in the future",
+      maxAgeYears: "Invalid age",
+    },
+  },
+  aboutYou: {
+    label: "About You",
+    required: true,
+    minLength: 10,
+    maxLength: 250,
+    messages: {
+      required: (rule) =>
+        `About You is required and must be at least ${rule.minLength} characters`,
+    },
+  },
+};
+
+// Field names in display order
+export const USER_FIELDS = Object.keys(userSchema);
+
+// Per-deployment limits, keyed by field (see configureUserSchema)
+const CONFIGURABLE_RULES = ["minLength", "maxLength"];
+
+/**
+ * Override length limits per deployment, e.g.
+ * `configureUserSchema({ name: { maxLength: 100 } })`.
+ * Values come from runtime config (VALIDATION_* env vars).
+ */
+export const configureUserSchema = (overrides = {}) => {
+  Object.entries(overrides).forEach(([field, limits]) => {
+    const rule = userSchema[field];
+    if (!rule || !limits) return;
+
+    CONFIGURABLE_RULES.forEach((key) => {
+      const value = limits[key];
+      if (Number.isInteger(value) && value > 0) {
+        rule[key] = value;
+      }
+    });
+  });
+};
+
+/**
+ * Length as users perceive it: code points after NFC normalization, so
+ * "é" typed as e + combining accent counts as one character
+ */
+export const countCharacters = (value) =>
+  typeof value === "string" ? [...value.normalize("NFC")].length : 0;
+
+// Resolve a message override, which may depend on the rule's limits
+const getOverride = (rule, key) => {
+  const message = rule.messages?.[key];
+  return typeof message === "function" ? message(rule) : message;
+};
+
+// Build the message for a failed rule, preferring the field's override
+const getMessage = (rule, key) => {
+  const override = getOverride(rule, key);
+  if (override) return override;
+
+  switch (key) {
+    case "required":
+      return `${rule.label} is required`;
+    case "minLength":
+      return `${rule.label} must be at least ${rule.minLength} characters`;
+    case "maxLength":
+      return `${rule.label} must be ${rule.maxLength} characters or less`;
+    case "pattern":
+      return `Invalid ${rule.label.toLowerCase()} format`;
+    default:
+      return `Invalid ${rule.label.toLowerCase()}`;
+  }
+};
+
+// Accept Date objects and YYYY-MM-DD strings (as local calendar dates)
+const toDate = (value) =>
+  value instanceof Date && !Number.isNaN(value.getTime())
+    ? value
+    : parseCalendarDate(value);
+
+const validateDate = (rule, value) => {
+  const date = toDate(value);
+  if (!date) return getMessage(rule, "required");
+
+  const now = new Date();
+  if (rule.notInFuture && date > now) {
+    return getMessage(rule, "notInFuture");
+  }
+  if (
+    rule.maxAgeYears &&
+    now.getFullYear() - date.getFullYear() > rule.maxAgeYears
+  ) {
+    return getMessage(rule, "maxAgeYears");
+  }
+  return "";
+};
+
+const validateString = (rule, value) => {
+  const text = typeof value === "string" ? value.normalize("NFC") : "";
+
+  if (!text.trim()) {
+    return rule.required ? getMessage(rule, "required") : "";
+  }
+  if (rule.minLength && countCharacters(text.trim()) < rule.minLength) {
+    // Most required messages already explain the minimum length
+    return (
+      getOverride(rule, "minLength") ||
+      getOverride(rule, "required") ||
+      getMessage(rule, "minLength")
+    );
+  }
+  if (rule.maxLength && countCharacters(text) > rule.maxLength) {
+    return getMessage(rule, "maxLength");
+  }
+  if (rule.pattern && !rule.pattern.test(text.trim())) {
+    return getMessage(rule, "pattern");
+  }
+  return "";
+};
+
+/**
+ * Validate one field; returns an error message or "" when valid
+ */
+export const validateField = (name, value) => {
+  const rule = userSchema[name];
+  if (!rule) return "";
+
+  if (value === null || value === undefined || value === "") {
+    return rule.required ? getMessage(rule, "required") : "";
+  }
+
+  return rule.type === "date"
+    ? validateDate(rule, value)
+    : validateString(rule, value);
+};
+
+/**
+ * Validate a user object and return `{ field: message }` for every error.
+ * With `partial: true` (updates) only the fields present are checked.
+ */
+export const validateUser = (data = {}, { partial = false } = {}) => {
+  const errors = {};
+
+  USER_FIELDS.forEach((field) => {
+    if (partial && data[field] === undefined) return;
+
+    const error = validateField(field, data[field]);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+
+  return errors;
+};